@@ -0,0 +1,86 @@
+// Minimal OSC 1.0 encoding/decoding: messages with int (i), float (f),
+// string (s) and boolean (T/F) arguments, plus incoming bundles.
+
+const pad4 = (n) => (n + 3) & ~3;
+
+const encodeString = (str) => {
+  const bytes = Buffer.from(str, "utf8");
+  const out = Buffer.alloc(pad4(bytes.length + 1));
+  bytes.copy(out);
+  return out;
+};
+
+const readString = (buffer, offset) => {
+  let end = offset;
+  while (end < buffer.length && buffer[end] !== 0) end++;
+  return { value: buffer.toString("utf8", offset, end), offset: pad4(end + 1) };
+};
+
+// Floats for non-integers, ints for integers, T/F for booleans
+const encodeMessage = (address, args = []) => {
+  let tags = ",";
+  const data = [];
+
+  args.forEach((arg) => {
+    if (typeof arg === "boolean") {
+      tags += arg ? "T" : "F";
+    } else if (typeof arg === "number") {
+      const b = Buffer.alloc(4);
+      if (Number.isInteger(arg)) {
+        tags += "i";
+        b.writeInt32BE(arg);
+      } else {
+        tags += "f";
+        b.writeFloatBE(arg);
+      }
+      data.push(b);
+    } else {
+      tags += "s";
+      data.push(encodeString(String(arg)));
+    }
+  });
+
+  return Buffer.concat([encodeString(address), encodeString(tags), ...data]);
+};
+
+// Returns a flat list of { address, args } (bundles are unpacked)
+const decode = (buffer) => {
+  if (buffer.toString("utf8", 0, 7) === "#bundle") {
+    const messages = [];
+    let offset = 16; // "#bundle\0" + 8-byte timetag
+    while (offset + 4 <= buffer.length) {
+      const size = buffer.readInt32BE(offset);
+      offset += 4;
+      messages.push(...decode(buffer.subarray(offset, offset + size)));
+      offset += size;
+    }
+    return messages;
+  }
+
+  const address = readString(buffer, 0);
+  const tags = readString(buffer, address.offset);
+  let offset = tags.offset;
+  const args = [];
+
+  for (const tag of tags.value.slice(1)) {
+    if (tag === "i") {
+      args.push(buffer.readInt32BE(offset));
+      offset += 4;
+    } else if (tag === "f") {
+      args.push(buffer.readFloatBE(offset));
+      offset += 4;
+    } else if (tag === "s") {
+      const str = readString(buffer, offset);
+      args.push(str.value);
+      offset = str.offset;
+    } else if (tag === "T" || tag === "F") {
+      args.push(tag === "T");
+    } else {
+      throw new Error(`Unsupported OSC type tag "${tag}"`);
+    }
+  }
+
+  return [{ address: address.value, args }];
+};
+
+module.exports = { encodeMessage, decode };
@@ -0,0 +1,224 @@
+// Local remote-control bridge for the sketches.
+//
+//   npm run bridge -- --port 8787 --osc-in 57121 --osc-out 127.0.0.1:57120
+//
+// Sketches connect over WebSocket (see utils/RemoteClient.js) with
+// { type: "hello", role: "sketch", name }. Any other WebSocket client is a
+// controller. Controllers and OSC can:
+//   set a param   { type: "set", sketch?, key, value }   /param/<key> <value>
+//   run an action { type: "action", sketch?, name }       /action/<name>
+// where OSC addresses may be prefixed with /<sketch-name> to target one
+// sketch. Audio features that sketches stream ({ type: "features" }) are
+// forwarded to controllers and sent out as OSC, e.g. /sketch-02/volume and
+// /sketch-02/bands/bass.
+//
+// Browsers let any page open a WebSocket to 127.0.0.1, so connections from
+// pages are only accepted from localhost origins (the canvas-sketch dev
+// server) and whatever --allow-origin adds, e.g. --allow-origin null for
+// pages opened from disk. Clients that send no Origin (Node, OSC tools) are
+// not pages and are always accepted.
+const dgram = require("dgram");
+const { WebSocketServer } = require("ws");
+const osc = require("./osc");
+
+const parseArgs = (argv) => {
+  const options = { port: 8787, oscIn: 57121, oscOut: [], allowOrigins: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const flag = argv[i];
+    const value = argv[i + 1];
+    if (flag === "--port") options.port = Number(value);
+    else if (flag === "--osc-in") options.oscIn = Number(value);
+    else if (flag === "--osc-out") options.oscOut.push(value);
+    else if (flag === "--allow-origin") options.allowOrigins.push(value);
+    else continue;
+    i++;
+  }
+  return options;
+};
+
+const LOCAL_HOSTS = ["localhost", "127.0.0.1", "[::1]"];
+
+// Whether a WebSocket handshake's Origin header may connect
+const isAllowedOrigin = (origin, allowOrigins = []) => {
+  if (origin === undefined) return true; // Not a browser
+  if (allowOrigins.includes(origin)) return true;
+  try {
+    const { protocol, hostname } = new URL(origin);
+    return /^https?:$/.test(protocol) && LOCAL_HOSTS.includes(hostname);
+  } catch (error) {
+    return false; // "null" and other opaque origins
+  }
+};
+
+// Resolves `ready` once the WebSocket server (and the OSC input, if any) is
+// listening, or rejects with a readable error, e.g. when a port is taken.
+const createBridge = ({
+  port = 8787,
+  oscIn = 57121,
+  oscOut = [],
+  allowOrigins = [],
+  log = console,
+} = {}) => {
+  const wss = new WebSocketServer({
+    port,
+    host: "127.0.0.1",
+    verifyClient: ({ origin }) => {
+      if (isAllowedOrigin(origin, allowOrigins)) return true;
+      log.warn(`Rejected connection from origin ${origin}`);
+      return false;
+    },
+  });
+  const udp = dgram.createSocket("udp4");
+  const sketches = new Map(); // ws -> sketch name
+  const targets = oscOut.map((target) => {
+    const [host, p] = target.split(":");
+    return { host, port: Number(p) };
+  });
+
+  const send = (ws, message) => {
+    if (ws.readyState === ws.OPEN) ws.send(JSON.stringify(message));
+  };
+
+  // Deliver set/action messages to all sketches, or the one named
+  const toSketches = (message) => {
+    sketches.forEach((name, ws) => {
+      if (!message.sketch || message.sketch === name) send(ws, message);
+    });
+  };
+
+  const toControllers = (message) => {
+    wss.clients.forEach((ws) => {
+      if (!sketches.has(ws)) send(ws, message);
+    });
+  };
+
+  const sendOsc = (address, args) => {
+    if (!targets.length) return;
+    const packet = osc.encodeMessage(address, args);
+    targets.forEach(({ host, port: p }) => udp.send(packet, p, host));
+  };
+
+  // Flatten { volume, bands: { bass } } into /name/volume, /name/bands/bass
+  const featuresToOsc = (name, data, prefix = "") => {
+    Object.entries(data).forEach(([key, value]) => {
+      const address = `${prefix}/${key}`;
+      if (value && typeof value === "object" && !Array.isArray(value)) {
+        featuresToOsc(name, value, address);
+      } else if (Array.isArray(value)) {
+        sendOsc(`/${name}${address}`, value);
+      } else if (value !== null && value !== undefined) {
+        sendOsc(`/${name}${address}`, [value]);
+      }
+    });
+  };
+
+  wss.on("connection", (ws) => {
+    ws.on("message", (raw) => {
+      let message;
+      try {
+        message = JSON.parse(raw);
+      } catch (error) {
+        log.warn("Ignoring non-JSON message");
+        return;
+      }
+
+      if (message.type === "hello" && message.role === "sketch") {
+        sketches.set(ws, message.name);
+        log.info(`Sketch connected: ${message.name}`);
+        toControllers({ type: "sketches", names: [...sketches.values()] });
+      } else if (message.type === "set" || message.type === "action") {
+        toSketches(message);
+      } else if (message.type === "features" && sketches.has(ws)) {
+        const name = sketches.get(ws);
+        toControllers({ ...message, sketch: name });
+        featuresToOsc(name, message.data);
+      }
+    });
+
+    ws.on("close", () => {
+      if (!sketches.has(ws)) return;
+      log.info(`Sketch disconnected: ${sketches.get(ws)}`);
+      sketches.delete(ws);
+      toControllers({ type: "sketches", names: [...sketches.values()] });
+    });
+  });
+
+  // /param/<key> value, /action/<name>, optionally prefixed with /<sketch>
+  udp.on("message", (buffer) => {
+    let messages;
+    try {
+      messages = osc.decode(buffer);
+    } catch (error) {
+      log.warn("Ignoring malformed OSC packet:", error.message);
+      return;
+    }
+
+    messages.forEach(({ address, args }) => {
+      const parts = address.split("/").filter(Boolean);
+      const sketch = parts[0] !== "param" && parts[0] !== "action" ? parts.shift() : undefined;
+      const [kind, key] = parts;
+      if (kind === "param" && key) {
+        toSketches({ type: "set", sketch, key, value: args[0] });
+      } else if (kind === "action" && key) {
+        toSketches({ type: "action", sketch, name: key });
+      }
+    });
+  });
+
+  const describeError = (error, what, p) =>
+    error.code === "EADDRINUSE"
+      ? `${what} port ${p} is already in use; is another bridge running?`
+      : `${what} error: ${error.message}`;
+
+  const listening = (emitter, what, p) =>
+    new Promise((resolve, reject) => {
+      let started = false;
+      emitter.once("listening", () => {
+        started = true;
+        resolve();
+      });
+      emitter.on("error", (error) => {
+        const message = describeError(error, what, p);
+        log.error(message);
+        if (!started) reject(new Error(message, { cause: error }));
+      });
+    });
+
+  const ready = Promise.all([
+    listening(wss, "WebSocket", port),
+    oscIn ? listening(udp, "OSC in", oscIn) : null,
+  ]).then(() => {
+    log.info(
+      `Bridge listening on ws://127.0.0.1:${wss.address().port}` +
+        (oscIn ? `, OSC in udp://127.0.0.1:${oscIn}` : "") +
+        (targets.length ? `, OSC out ${oscOut.join(", ")}` : "")
+    );
+  });
+  if (oscIn) udp.bind(oscIn, "127.0.0.1");
+
+  return {
+    wss,
+    udp,
+    ready,
+    close: () =>
+      new Promise((resolve) => {
+        try {
+          udp.close();
+        } catch (error) {
+          // Already closed after failing to bind
+        }
+        wss.close(() => resolve());
+        wss.clients.forEach((ws) => ws.terminate());
+      }),
+  };
+};
+
+module.exports = { createBridge, parseArgs, isAllowedOrigin };
+
+if (require.main === module) {
+  const bridge = createBridge(parseArgs(process.argv.slice(2)));
+  bridge.ready.catch(() => {
+    process.exitCode = 1;
+    bridge.close();
+  });
+}
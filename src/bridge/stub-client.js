@@ -0,0 +1,44 @@
+// Command-line stand-in for a controller (or a sketch) to poke the bridge
+// without a browser or DAW:
+//
+//   node bridge/stub-client.js set volumeScale 4 [--sketch sketch-04]
+//   node bridge/stub-client.js action reseed
+//   node bridge/stub-client.js listen          # print streamed features
+//   node bridge/stub-client.js sketch sketch-04  # fake sketch, logs messages
+const WebSocket = require("ws");
+
+const url = process.env.BRIDGE_URL || "ws://127.0.0.1:8787";
+const [command, ...rest] = process.argv.slice(2);
+const sketchFlag = rest.indexOf("--sketch");
+const sketch = sketchFlag >= 0 ? rest.splice(sketchFlag, 2)[1] : undefined;
+
+// Numbers and booleans typed on the command line arrive as strings
+const coerce = (value) => {
+  if (value === "true" || value === "false") return value === "true";
+  const n = Number(value);
+  return value !== "" && !Number.isNaN(n) ? n : value;
+};
+
+const ws = new WebSocket(url);
+
+ws.on("open", () => {
+  if (command === "set") {
+    ws.send(JSON.stringify({ type: "set", sketch, key: rest[0], value: coerce(rest[1]) }));
+    ws.close();
+  } else if (command === "action") {
+    ws.send(JSON.stringify({ type: "action", sketch, name: rest[0] }));
+    ws.close();
+  } else if (command === "sketch") {
+    ws.send(JSON.stringify({ type: "hello", role: "sketch", name: rest[0] || "stub" }));
+  } else if (command !== "listen") {
+    console.error("Usage: stub-client.js set <key> <value> | action <name> | listen | sketch <name>");
+    ws.close();
+    process.exitCode = 1;
+  }
+});
+
+ws.on("message", (raw) => console.log(raw.toString()));
+ws.on("error", (error) => {
+  console.error(`Could not reach ${url}:`, error.message);
+  process.exitCode = 1;
+});
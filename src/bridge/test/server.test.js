@@ -0,0 +1,185 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { execFile } = require("node:child_process");
+const path = require("node:path");
+const dgram = require("node:dgram");
+const WebSocket = require("ws");
+const { createBridge, isAllowedOrigin } = require("../server");
+const osc = require("../osc");
+
+const quiet = { info() {}, warn() {}, error() {} };
+const STUB_CLIENT = path.join(__dirname, "..", "stub-client.js");
+
+const start = async (options = {}) => {
+  const bridge = createBridge({ port: 0, oscIn: 0, log: quiet, ...options });
+  await bridge.ready;
+  return { bridge, url: `ws://127.0.0.1:${bridge.wss.address().port}` };
+};
+
+const connect = (url, options) =>
+  new Promise((resolve, reject) => {
+    const ws = new WebSocket(url, options);
+    ws.once("open", () => resolve(ws));
+    ws.once("error", reject);
+  });
+
+const nextMessage = (ws) =>
+  new Promise((resolve) =>
+    ws.once("message", (raw) => resolve(JSON.parse(raw)))
+  );
+
+// Fake sketch, registered once the bridge has announced it to controllers
+const connectSketch = async (url, name) => {
+  const sketch = await connect(url);
+  const controller = await connect(url);
+  const announced = nextMessage(controller);
+  sketch.send(JSON.stringify({ type: "hello", role: "sketch", name }));
+  await announced;
+  controller.close();
+  return sketch;
+};
+
+const runStubClient = (url, args) =>
+  new Promise((resolve, reject) => {
+    execFile(
+      process.execPath,
+      [STUB_CLIENT, ...args],
+      { env: { ...process.env, BRIDGE_URL: url } },
+      (error, stdout) => (error ? reject(error) : resolve(stdout))
+    );
+  });
+
+test("the stub client's set and action messages reach the sketch", async () => {
+  const { bridge, url } = await start();
+  const sketch = await connectSketch(url, "sketch-04");
+  try {
+    let received = nextMessage(sketch);
+    await runStubClient(url, ["set", "volumeScale", "4"]);
+    assert.deepEqual(await received, {
+      type: "set",
+      key: "volumeScale",
+      value: 4,
+    });
+
+    received = nextMessage(sketch);
+    await runStubClient(url, ["action", "reseed", "--sketch", "sketch-04"]);
+    assert.deepEqual(await received, {
+      type: "action",
+      sketch: "sketch-04",
+      name: "reseed",
+    });
+  } finally {
+    sketch.close();
+    await bridge.close();
+  }
+});
+
+test("messages for another sketch are not delivered", async () => {
+  const { bridge, url } = await start();
+  const sketch = await connectSketch(url, "sketch-02");
+  try {
+    const received = nextMessage(sketch);
+    await runStubClient(url, ["set", "amp", "1", "--sketch", "sketch-04"]);
+    await runStubClient(url, ["set", "rings", "3", "--sketch", "sketch-02"]);
+    assert.equal((await received).key, "rings");
+  } finally {
+    sketch.close();
+    await bridge.close();
+  }
+});
+
+test("features from a sketch are forwarded to controllers", async () => {
+  const { bridge, url } = await start();
+  const sketch = await connectSketch(url, "sketch-02");
+  const controller = await connect(url);
+  try {
+    const received = nextMessage(controller);
+    sketch.send(JSON.stringify({ type: "features", data: { volume: 0.5 } }));
+    assert.deepEqual(await received, {
+      type: "features",
+      data: { volume: 0.5 },
+      sketch: "sketch-02",
+    });
+  } finally {
+    sketch.close();
+    controller.close();
+    await bridge.close();
+  }
+});
+
+test("OSC params are forwarded to the named sketch", async () => {
+  // Borrow a free UDP port for the OSC input
+  const probe = dgram.createSocket("udp4");
+  await new Promise((resolve) => probe.bind(0, "127.0.0.1", resolve));
+  const oscIn = probe.address().port;
+  await new Promise((resolve) => probe.close(resolve));
+
+  const { bridge, url } = await start({ oscIn });
+  const sketch = await connectSketch(url, "sketch-04");
+  const udp = dgram.createSocket("udp4");
+  try {
+    const received = nextMessage(sketch);
+    udp.send(
+      osc.encodeMessage("/sketch-04/param/amp", [0.5]),
+      oscIn,
+      "127.0.0.1"
+    );
+    assert.deepEqual(await received, {
+      type: "set",
+      sketch: "sketch-04",
+      key: "amp",
+      value: 0.5,
+    });
+  } finally {
+    udp.close();
+    sketch.close();
+    await bridge.close();
+  }
+});
+
+test("pages from other origins are rejected", async () => {
+  const { bridge, url } = await start();
+  try {
+    await assert.rejects(
+      connect(url, { origin: "https://example.com" }),
+      /401/
+    );
+    const local = await connect(url, { origin: "http://localhost:9966" });
+    local.close();
+  } finally {
+    await bridge.close();
+  }
+});
+
+test("isAllowedOrigin", () => {
+  assert.equal(isAllowedOrigin(undefined), true);
+  assert.equal(isAllowedOrigin("http://localhost:9966"), true);
+  assert.equal(isAllowedOrigin("https://127.0.0.1:9966"), true);
+  assert.equal(isAllowedOrigin("http://[::1]:9966"), true);
+  assert.equal(isAllowedOrigin("https://example.com"), false);
+  assert.equal(isAllowedOrigin("http://localhost.example.com"), false);
+  assert.equal(isAllowedOrigin("null"), false);
+  assert.equal(isAllowedOrigin("null", ["null"]), true);
+  assert.equal(
+    isAllowedOrigin("https://example.com", ["https://example.com"]),
+    true
+  );
+});
+
+test("a port in use is reported instead of crashing", async () => {
+  const { bridge, url } = await start();
+  const port = Number(new URL(url).port);
+  const errors = [];
+  const second = createBridge({
+    port,
+    oscIn: 0,
+    log: { ...quiet, error: (message) => errors.push(message) },
+  });
+  try {
+    await assert.rejects(second.ready, /port \d+ is already in use/);
+    assert.match(errors[0], /WebSocket port \d+ is already in use/);
+  } finally {
+    await second.close();
+    await bridge.close();
+  }
+});
@@ -0,0 +1,64 @@
+// What's on disk under sketches/: the sketch folders, their README titles
+// and their exported outputs. Shared by the sketches CLI and the gallery.
+const fs = require("fs");
+const path = require("path");
+
+const SKETCHES_DIR = path.join(__dirname, "..", "sketches");
+const OUTPUT_EXTENSIONS = /\.(png|jpe?g|gif|svg|mp4)$/i;
+
+const sketchPath = (name) => path.join(SKETCHES_DIR, name, `${name}.js`);
+
+// Sketch folders that have a <name>/<name>.js entry
+const listSketches = () =>
+  fs
+    .readdirSync(SKETCHES_DIR, { withFileTypes: true })
+    .filter((entry) => entry.isDirectory())
+    .map((entry) => entry.name)
+    .filter((name) => fs.existsSync(sketchPath(name)))
+    .sort();
+
+// Title from the sketch's README: the first heading naming the sketch, or
+// else the first heading
+const readTitle = (name) => {
+  const readme = path.join(SKETCHES_DIR, name, "README.md");
+  if (!fs.existsSync(readme)) return "";
+  const headings = fs
+    .readFileSync(readme, "utf8")
+    .split("\n")
+    .filter((line) => line.startsWith("#"));
+  const heading =
+    headings.find((line) => line.toLowerCase().includes(name.toLowerCase())) ||
+    headings[0];
+  return heading ? heading.replace(/^#+\s*/, "") : "";
+};
+
+// Exported files under <name>/output/, newest first. Files from a fresh
+// checkout share an mtime, so ties fall back to the (timestamped) path.
+const findOutputs = (name) => {
+  const dir = path.join(SKETCHES_DIR, name, "output");
+  if (!fs.existsSync(dir)) return [];
+
+  const outputs = [];
+  const walk = (d) =>
+    fs.readdirSync(d, { withFileTypes: true }).forEach((entry) => {
+      const file = path.join(d, entry.name);
+      if (entry.isDirectory()) walk(file);
+      else if (OUTPUT_EXTENSIONS.test(entry.name)) {
+        outputs.push({ file, mtime: fs.statSync(file).mtimeMs });
+      }
+    });
+  walk(dir);
+
+  return outputs.sort(
+    (a, b) => b.mtime - a.mtime || b.file.localeCompare(a.file)
+  );
+};
+
+module.exports = {
+  SKETCHES_DIR,
+  OUTPUT_EXTENSIONS,
+  sketchPath,
+  listSketches,
+  readTitle,
+  findOutputs,
+};
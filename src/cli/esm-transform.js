@@ -0,0 +1,53 @@
+// Browserify transform for `sketches start`: converts ES modules to
+// CommonJS in packages marked "type": "module" (the workspace utils and
+// Tweakpane 4). canvas-sketch only converts the sketch's own files, and
+// both of those resolve through node_modules.
+const fs = require("fs");
+const path = require("path");
+const { Transform } = require("stream");
+const babel = require("@babel/core");
+
+const packageTypes = new Map(); // dir -> "module" | "commonjs"
+
+// "type" of the package a file belongs to
+const packageType = (dir) => {
+  if (packageTypes.has(dir)) return packageTypes.get(dir);
+  const manifest = path.join(dir, "package.json");
+  const parent = path.dirname(dir);
+  let type = "commonjs";
+  if (fs.existsSync(manifest)) {
+    type = JSON.parse(fs.readFileSync(manifest, "utf8")).type || "commonjs";
+  } else if (parent !== dir) {
+    type = packageType(parent);
+  }
+  packageTypes.set(dir, type);
+  return type;
+};
+
+module.exports = (file) => {
+  const chunks = [];
+  const esm =
+    /\.m?js$/.test(file) && packageType(path.dirname(file)) === "module";
+
+  return new Transform({
+    transform(chunk, encoding, next) {
+      chunks.push(chunk);
+      next();
+    },
+    flush(done) {
+      const source = Buffer.concat(chunks).toString("utf8");
+      if (!esm) return done(null, source);
+
+      babel
+        .transformAsync(source, {
+          filename: file,
+          babelrc: false,
+          configFile: false,
+          sourceMaps: "inline",
+          plugins: ["@babel/plugin-transform-modules-commonjs"],
+        })
+        .then((result) => done(null, result.code))
+        .catch(done);
+    },
+  });
+};
@@ -0,0 +1,165 @@
+#!/usr/bin/env node
+// One entry point for working on the sketches:
+//
+//   npm run sketches -- list
+//   npm start -- sketch-02              (or: npm run sketches -- start ...)
+//   npm run sketches -- export sketch-03 --frames 96 --format gif
+//   npm run sketches -- new [name] [--from sketch-0N]
+//   npm run sketches -- gallery [--watch] [--no-live]
+//
+// `start` runs the canvas-sketch dev server with hot reload, saving exports
+// to the sketch's output/ folder; extra flags (e.g. --https for microphone
+// access on another device) are passed through. `export` renders headless,
+// with the options of render/cli.js. `new` scaffolds sketches/<name>/ from
+// cli/template (or copies another sketch), named sketch-NN by default.
+// `gallery` builds the offline gallery page (see gallery/build.js).
+const fs = require("fs");
+const path = require("path");
+const { spawn } = require("child_process");
+
+const {
+  SKETCHES_DIR,
+  sketchPath,
+  listSketches,
+  readTitle,
+  findOutputs,
+} = require("./catalog");
+
+const TEMPLATE_DIR = path.join(__dirname, "template");
+
+const resolveSketch = (name) => {
+  if (!name) throw new Error("Missing sketch name, see `sketches list`");
+  if (!fs.existsSync(sketchPath(name))) {
+    throw new Error(`No sketch named "${name}", see \`sketches list\``);
+  }
+  return sketchPath(name);
+};
+
+const list = () => {
+  listSketches().forEach((name) => {
+    const title = readTitle(name);
+    const outputs = findOutputs(name).length;
+    console.log(
+      [
+        name.padEnd(12),
+        title,
+        outputs ? `(${outputs} output${outputs === 1 ? "" : "s"})` : "",
+      ]
+        .filter(Boolean)
+        .join("  ")
+        .trimEnd()
+    );
+  });
+  return 0;
+};
+
+const start = (name, args) => {
+  const entry = resolveSketch(name);
+  const bin = require.resolve("canvas-sketch-cli/src/index.js");
+  const transform = require.resolve("./esm-transform");
+  const child = spawn(
+    process.execPath,
+    [
+      bin,
+      path.basename(entry),
+      "--hot",
+      "--open",
+      "--output=output",
+      ...args,
+      "--", // Browserify flags from here on
+      "-g",
+      transform,
+    ],
+    { cwd: path.dirname(entry), stdio: "inherit" }
+  );
+  return new Promise((resolve) => child.on("close", (code) => resolve(code)));
+};
+
+const exportSketch = async (name, args) => {
+  const { main } = require("../render/cli");
+  resolveSketch(name);
+  return main([name, ...args]);
+};
+
+// Next free sketch-NN name
+const nextName = () => {
+  const numbers = listSketches()
+    .map((name) => /^sketch-(\d+)$/.exec(name))
+    .filter(Boolean)
+    .map((match) => Number(match[1]));
+  const next = Math.max(0, ...numbers) + 1;
+  return `sketch-${String(next).padStart(2, "0")}`;
+};
+
+// MMDDYYYY-HHMM, as in the sketch READMEs
+const stamp = (date) => {
+  const pad = (v) => String(v).padStart(2, "0");
+  const day = `${pad(date.getMonth() + 1)}${pad(date.getDate())}`;
+  const time = `${pad(date.getHours())}${pad(date.getMinutes())}`;
+  return `${day}${date.getFullYear()}-${time}`;
+};
+
+const scaffold = (args) => {
+  const fromIndex = args.indexOf("--from");
+  const from = fromIndex >= 0 ? args.splice(fromIndex, 2)[1] : null;
+  const name = args[0] || nextName();
+  if (!/^[\w-]+$/.test(name)) throw new Error(`Invalid sketch name "${name}"`);
+
+  const dir = path.join(SKETCHES_DIR, name);
+  if (fs.existsSync(dir)) throw new Error(`${name} already exists`);
+  const source = from
+    ? fs.readFileSync(resolveSketch(from), "utf8")
+    : fs.readFileSync(path.join(TEMPLATE_DIR, "sketch.js"), "utf8");
+  const readme = fs
+    .readFileSync(path.join(TEMPLATE_DIR, "README.md"), "utf8")
+    .replace("{{title}}", name[0].toUpperCase() + name.slice(1))
+    .replace("{{date}}", stamp(new Date()));
+
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(sketchPath(name), source);
+  fs.writeFileSync(path.join(dir, "README.md"), readme);
+  console.log(`Created ${path.relative(process.cwd(), dir)}`);
+  console.log(`Run it with: npm start -- ${name}`);
+  return 0;
+};
+
+const gallery = async (args) => {
+  const { buildGallery, watchGallery } = require("../gallery/build");
+  const options = { live: !args.includes("--no-live") };
+  if (args.includes("--watch")) {
+    await watchGallery(options);
+    return new Promise(() => {}); // Until interrupted
+  }
+  const index = await buildGallery(options);
+  console.log(`Open ${path.relative(process.cwd(), index)} in a browser`);
+  return 0;
+};
+
+const USAGE = `Usage: sketches <command>
+
+  list                         List the sketches
+  start <name> [flags]         Open a sketch with hot reload
+  export <name> [options]      Render a sketch headless (see render/cli.js)
+  new [name] [--from <name>]   Scaffold a new sketch
+  gallery [--watch]            Build the offline gallery`;
+
+const main = async ([command, ...args]) => {
+  if (command === "list") return list();
+  if (command === "start") return start(args[0], args.slice(1));
+  if (command === "export") return exportSketch(args[0], args.slice(1));
+  if (command === "new") return scaffold(args);
+  if (command === "gallery") return gallery(args);
+  console.error(USAGE);
+  return command ? 1 : 0;
+};
+
+module.exports = { main, listSketches, nextName };
+
+if (require.main === module) {
+  main(process.argv.slice(2))
+    .then((code) => process.exit(code))
+    .catch((error) => {
+      console.error(error.message);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,53 @@
+import canvasSketch from "canvas-sketch";
+import { random } from "@visual-sketches/utils/Random";
+import { ControlPanel } from "@visual-sketches/utils/ControlPanel";
+import {
+  attachSeedControls,
+  exportWithSeed,
+} from "@visual-sketches/utils/SeedControls";
+
+const settings = {
+  dimensions: [1080, 1080],
+};
+
+const params = {
+  count: 10,
+  radius: 40,
+};
+
+const schema = {
+  count: { min: 1, max: 100, step: 1 },
+  radius: { min: 1, max: 200 },
+};
+
+const sketch = () => {
+  return (props) => {
+    const { context, width, height } = props;
+    random.reset(); // Same seed, same drawing on every render and export
+
+    context.fillStyle = "white";
+    context.fillRect(0, 0, width, height);
+
+    context.lineWidth = 4;
+    for (let i = 0; i < params.count; i++) {
+      const x = random.range(0, width);
+      const y = random.range(0, height);
+
+      context.beginPath();
+      context.arc(x, y, params.radius, 0, Math.PI * 2);
+      context.stroke();
+    }
+
+    return exportWithSeed(props, { params });
+  };
+};
+
+const createPane = () => new ControlPanel(params, schema);
+
+const start = async () => {
+  const manager = await canvasSketch(sketch, settings);
+  attachSeedControls(manager, sketch);
+};
+
+start();
+createPane();
@@ -0,0 +1,270 @@
+// Static, offline gallery of the sketches in gallery/dist/: a grid with a
+// thumbnail of each sketch's latest export, its README title and a few
+// details, linking to a live build of the sketch (bundled with esbuild,
+// control panel included) that opens straight from disk.
+//
+//   npm run gallery              build once
+//   npm run gallery -- --watch   rebuild as exports land or sketches change
+const fs = require("fs");
+const path = require("path");
+const esbuild = require("esbuild");
+const { loadImage, createCanvas } = require("@napi-rs/canvas");
+const {
+  SKETCHES_DIR,
+  sketchPath,
+  listSketches,
+  readTitle,
+  findOutputs,
+} = require("../cli/catalog");
+
+const GALLERY_DIR = path.join(__dirname, "dist");
+const UTILS_DIR = path.join(__dirname, "..", "utils");
+const THUMB_WIDTH = 480;
+const IMAGE_EXTENSIONS = /\.(png|jpe?g|gif|svg)$/i;
+
+const escapeHtml = (value) =>
+  String(value).replace(
+    /[&<>"']/g,
+    (c) => `&#${c.charCodeAt(0)};` // Covers attributes and text alike
+  );
+
+const toUrl = (file) =>
+  path.relative(GALLERY_DIR, file).split(path.sep).map(encodeURI).join("/");
+
+// Title, settings, latest image and its seed for one sketch
+const readMetadata = (name) => {
+  const source = fs.readFileSync(sketchPath(name), "utf8");
+  const dimensions = /dimensions:\s*\[(\d+),\s*(\d+)\]/.exec(source);
+  const outputs = findOutputs(name);
+  const image = outputs.find(({ file }) => IMAGE_EXTENSIONS.test(file));
+
+  let seed = null;
+  if (image) {
+    const sidecar = image.file.replace(/\.\w+$/, ".json");
+    try {
+      seed = JSON.parse(fs.readFileSync(sidecar, "utf8")).seed;
+    } catch (error) {
+      // Older exports have no sidecar
+    }
+  }
+
+  return {
+    name,
+    title: readTitle(name) || name,
+    dimensions: dimensions ? `${dimensions[1]}×${dimensions[2]}` : null,
+    animated: /animate:\s*true/.test(source),
+    image: image ? image.file : null,
+    exportedAt: image ? new Date(image.mtime) : null,
+    outputs: outputs.length,
+    seed,
+  };
+};
+
+// Scaled-down copy of `file` in dist/thumbs/, kept until the image changes.
+// Falls back to the full image if it can't be decoded.
+const makeThumbnail = async (name, file) => {
+  const thumb = path.join(GALLERY_DIR, "thumbs", `${name}.jpg`);
+  try {
+    if (
+      fs.existsSync(thumb) &&
+      fs.statSync(thumb).mtimeMs >= fs.statSync(file).mtimeMs
+    ) {
+      return thumb;
+    }
+    const image = await loadImage(fs.readFileSync(file));
+    const scale = Math.min(1, THUMB_WIDTH / image.width);
+    const canvas = createCanvas(
+      Math.round(image.width * scale),
+      Math.round(image.height * scale)
+    );
+    const context = canvas.getContext("2d");
+    context.fillStyle = "white"; // SVGs and transparent PNGs
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    context.drawImage(image, 0, 0, canvas.width, canvas.height);
+
+    fs.mkdirSync(path.dirname(thumb), { recursive: true });
+    fs.writeFileSync(thumb, await canvas.encode("jpeg", 85));
+    return thumb;
+  } catch (error) {
+    console.error(`Failed to make a thumbnail for ${name}:`, error.message);
+    return file;
+  }
+};
+
+// Browser bundle of the sketch plus a page to run it, in dist/<name>/
+const buildLive = async (name) => {
+  const dir = path.join(GALLERY_DIR, name);
+  await esbuild.build({
+    entryPoints: [sketchPath(name)],
+    outfile: path.join(dir, "sketch.js"),
+    bundle: true,
+    platform: "browser",
+    format: "iife",
+    sourcemap: true,
+    logLevel: "error",
+    define: { "process.env.NODE_ENV": '"development"' },
+    nodePaths: (process.env.NODE_PATH || "")
+      .split(path.delimiter)
+      .filter(Boolean),
+  });
+
+  const title = escapeHtml(readTitle(name) || name);
+  fs.writeFileSync(
+    path.join(dir, "index.html"),
+    `<!DOCTYPE html>
+<html lang="en">
+  <head>
+    <meta charset="UTF-8" />
+    <meta name="viewport" content="width=device-width, initial-scale=1.0" />
+    <title>${title}</title>
+    <style>
+      html, body { margin: 0; height: 100%; background: #111; }
+      .back {
+        position: fixed; top: 8px; left: 8px; z-index: 1;
+        font: 12px monospace; color: #aaa; text-decoration: none;
+      }
+    </style>
+  </head>
+  <body>
+    <a class="back" href="../index.html">&larr; Gallery</a>
+    <script src="sketch.js"></script>
+  </body>
+</html>
+`
+  );
+};
+
+const renderCard = (sketch, thumb, live) => {
+  const details = [
+    sketch.dimensions,
+    sketch.animated ? "animated" : null,
+    sketch.seed ? `seed ${sketch.seed}` : null,
+    sketch.exportedAt ? sketch.exportedAt.toISOString().slice(0, 10) : null,
+  ].filter(Boolean);
+  const picture = thumb
+    ? `<img src="${escapeHtml(toUrl(thumb))}" alt="" loading="lazy" />`
+    : `<div class="empty">no exports yet</div>`;
+  let href = `${sketch.name}/index.html`;
+  if (!live) href = sketch.image ? toUrl(sketch.image) : "#";
+
+  return `      <a class="card" href="${escapeHtml(href)}">
+        ${picture}
+        <h2>${escapeHtml(sketch.title)}</h2>
+        <p>${escapeHtml(details.join(" · "))}</p>
+      </a>`;
+};
+
+const buildIndex = async ({ live = true } = {}) => {
+  const cards = [];
+  for (const name of listSketches()) {
+    const sketch = readMetadata(name);
+    const thumb = sketch.image ? await makeThumbnail(name, sketch.image) : null;
+    cards.push(renderCard(sketch, thumb, live));
+  }
+
+  const index = path.join(GALLERY_DIR, "index.html");
+  fs.mkdirSync(GALLERY_DIR, { recursive: true });
+  fs.writeFileSync(
+    index,
+    `<!DOCTYPE html>
+<html lang="en">
+  <head>
+    <meta charset="UTF-8" />
+    <meta name="viewport" content="width=device-width, initial-scale=1.0" />
+    <title>visual-sketches</title>
+    <style>
+      body { margin: 0; padding: 24px; background: #111; color: #eee; font: 14px monospace; }
+      h1 { font-size: 18px; font-weight: normal; margin: 0 0 24px; }
+      .grid { display: grid; gap: 24px; grid-template-columns: repeat(auto-fill, minmax(240px, 1fr)); }
+      .card { color: inherit; text-decoration: none; }
+      .card img, .card .empty { display: block; width: 100%; aspect-ratio: 1; object-fit: cover; background: #222; }
+      .card .empty { display: flex; align-items: center; justify-content: center; color: #666; }
+      .card:hover img { outline: 2px solid #eee; }
+      .card h2 { font-size: 14px; font-weight: normal; margin: 8px 0 2px; }
+      .card p { margin: 0; color: #888; }
+    </style>
+  </head>
+  <body>
+    <h1>visual-sketches</h1>
+    <div class="grid">
+${cards.join("\n")}
+    </div>
+  </body>
+</html>
+`
+  );
+  return index;
+};
+
+// Build the index and, with `live`, a runnable copy of every sketch.
+const buildGallery = async ({ live = true } = {}) => {
+  if (live) {
+    for (const name of listSketches()) await buildLive(name);
+  }
+  return buildIndex({ live });
+};
+
+// Rebuild the index when an export lands in any output/ folder, and the
+// live build of a sketch when its source (or utils) changes.
+const watchGallery = async ({ live = true, log = console } = {}) => {
+  await buildGallery({ live });
+  log.info(`Gallery built in ${path.relative(".", GALLERY_DIR)}, watching...`);
+
+  const pending = new Map(); // task key -> timeout
+  const schedule = (key, task) => {
+    clearTimeout(pending.get(key));
+    pending.set(
+      key,
+      setTimeout(() => {
+        pending.delete(key);
+        task()
+          .then(() => log.info(`Rebuilt ${key}`))
+          .catch((error) => log.error(`Failed to rebuild ${key}:`, error));
+      }, 300) // Exports arrive as several writes
+    );
+  };
+  const rebuildIndex = () => schedule("index", () => buildIndex({ live }));
+  const rebuildSketch = (name) =>
+    schedule(name, async () => {
+      if (!fs.existsSync(sketchPath(name))) return;
+      if (live) await buildLive(name);
+      await buildIndex({ live });
+    });
+
+  const watchers = [
+    fs.watch(SKETCHES_DIR, { recursive: true }, (event, filename) => {
+      if (!filename) return;
+      const [name, ...rest] = filename.split(path.sep);
+      if (rest[0] === "output") rebuildIndex();
+      else if (/\.(js|md)$/.test(filename)) rebuildSketch(name);
+    }),
+    fs.watch(UTILS_DIR, { recursive: true }, (event, filename) => {
+      if (live && /\.js$/.test(filename || "")) {
+        listSketches().forEach(rebuildSketch);
+      }
+    }),
+  ];
+  return () => watchers.forEach((watcher) => watcher.close());
+};
+
+module.exports = {
+  buildGallery,
+  buildIndex,
+  buildLive,
+  watchGallery,
+  GALLERY_DIR,
+};
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const options = { live: !args.includes("--no-live") };
+  const run = args.includes("--watch") ? watchGallery : buildGallery;
+  run(options)
+    .then((index) => {
+      if (typeof index === "string") console.log(path.relative(".", index));
+    })
+    .catch((error) => {
+      console.error("Failed to build the gallery:", error);
+      process.exit(1);
+    });
+}
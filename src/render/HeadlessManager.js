@@ -0,0 +1,108 @@
+// The slice of canvas-sketch's SketchManager the sketches rely on (update,
+// render, loadAndRun) driving an @napi-rs/canvas canvas frame by frame.
+// `dimensions` stay the sketch's own units; `size` is the output in pixels
+// and the context is scaled between the two like canvas-sketch does.
+const { createCanvas } = require("@napi-rs/canvas");
+
+const DEFAULT_DIMENSIONS = [1080, 1080];
+const DEFAULT_FPS = 24; // canvas-sketch default
+
+class HeadlessManager {
+  constructor(settings = {}, { size, fps } = {}) {
+    this.settings = { ...settings };
+    const [width, height] = settings.dimensions || size || DEFAULT_DIMENSIONS;
+    const [canvasWidth, canvasHeight] = size || [width, height];
+
+    this.width = width;
+    this.height = height;
+    this.canvas = createCanvas(canvasWidth, canvasHeight);
+    this.context = this.canvas.getContext("2d");
+    this.fps = fps || settings.fps || DEFAULT_FPS;
+    this.frame = 0;
+    this.recording = false;
+    this.sketch = null;
+    this.renderer = null;
+  }
+
+  // Frames in one loop of the sketch, Infinity when it never ends.
+  get totalFrames() {
+    const { totalFrames, duration } = this.settings;
+    if (totalFrames) return totalFrames;
+    if (duration) return Math.round(duration * this.fps);
+    return Infinity;
+  }
+
+  get props() {
+    const time = this.frame / this.fps;
+    const totalFrames = this.totalFrames;
+    return {
+      context: this.context,
+      canvas: this.canvas,
+      width: this.width,
+      height: this.height,
+      canvasWidth: this.canvas.width,
+      canvasHeight: this.canvas.height,
+      pixelRatio: 1,
+      units: "px",
+      settings: this.settings,
+      frame: this.frame,
+      time,
+      fps: this.fps,
+      deltaTime: this.frame > 0 ? 1 / this.fps : 0,
+      duration: totalFrames / this.fps,
+      totalFrames,
+      playhead: Number.isFinite(totalFrames) ? this.frame / totalFrames : 0,
+      playing: Boolean(this.settings.animate),
+      exporting: true,
+      recording: this.recording,
+      render: () => this.render(),
+      update: (settings) => this.update(settings),
+    };
+  }
+
+  // Merge settings, as canvas-sketch does for `suffix` and friends.
+  update(settings = {}) {
+    Object.assign(this.settings, settings);
+  }
+
+  async load(sketch) {
+    this.unload();
+    this.sketch = sketch;
+    const result = await sketch(this.props);
+    this.renderer = typeof result === "function" ? { render: result } : result;
+    return this;
+  }
+
+  async loadAndRun(sketch) {
+    await this.load(sketch);
+    this.render();
+    return this;
+  }
+
+  unload() {
+    if (this.renderer && this.renderer.unload) this.renderer.unload(this.props);
+    this.renderer = null;
+  }
+
+  // Draw the current frame and return whatever the sketch's render returned.
+  render() {
+    if (!this.renderer || !this.renderer.render) return undefined;
+
+    const { context } = this;
+    context.save();
+    context.scale(
+      this.canvas.width / this.width,
+      this.canvas.height / this.height
+    );
+    const result = this.renderer.render(this.props);
+    context.restore();
+    return result;
+  }
+
+  renderFrame(frame) {
+    this.frame = frame;
+    return this.render();
+  }
+}
+
+module.exports = { HeadlessManager, DEFAULT_DIMENSIONS, DEFAULT_FPS };
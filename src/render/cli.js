@@ -0,0 +1,110 @@
+// Headless renderer for the sketches, no browser needed.
+//
+//   npm run render -- sketch-03 --frames 96 --format gif,mp4 --seed 1234
+//   npm run render -- sketches/sketch-05/sketch-05.js --size 2160x2160
+//
+// Sketches are given by name (sketches/<name>/<name>.js) or path; several
+// can be rendered in one go. Options:
+//   --frames <n>     frames to render (default: one loop, 120 if endless,
+//                    1 for still sketches)
+//   --size <w>x<h>   output size in pixels (default: the sketch dimensions)
+//   --fps <n>        frame rate (default: the sketch's, or 24)
+//   --seed <seed>    random seed (default: a new one per sketch)
+//   --format <list>  comma-separated png, gif, mp4 (default: png)
+//   --out <dir>      output directory (default: <sketch dir>/output/render,
+//                    which git ignores)
+//   --ffmpeg <path>  ffmpeg binary for mp4 (default: ffmpeg on the PATH)
+const fs = require("fs");
+const path = require("path");
+const { renderSketch, FORMATS } = require("./render-sketch");
+
+const SKETCHES_DIR = path.join(__dirname, "..", "sketches");
+
+const parseSize = (value) => {
+  const match = /^(\d+)x(\d+)$/i.exec(value || "");
+  if (!match) throw new Error(`Invalid --size "${value}", expected WxH`);
+  return [Number(match[1]), Number(match[2])];
+};
+
+const parseArgs = (argv) => {
+  const options = { entries: [], formats: ["png"] };
+  for (let i = 0; i < argv.length; i++) {
+    const flag = argv[i];
+    const value = argv[i + 1];
+    if (flag === "--frames") options.frames = Number(value);
+    else if (flag === "--size") options.size = parseSize(value);
+    else if (flag === "--fps") options.fps = Number(value);
+    else if (flag === "--seed") options.seed = value;
+    else if (flag === "--format") options.formats = value.split(",");
+    else if (flag === "--out") options.out = path.resolve(value);
+    else if (flag === "--ffmpeg") options.ffmpeg = value;
+    else {
+      options.entries.push(flag);
+      continue;
+    }
+    i++;
+  }
+
+  const unknown = options.formats.filter((f) => !FORMATS.includes(f));
+  if (unknown.length) {
+    throw new Error(`Unknown format(s) ${unknown}, expected ${FORMATS}`);
+  }
+  return options;
+};
+
+// "sketch-03" -> sketches/sketch-03/sketch-03.js, anything else is a path.
+const resolveEntry = (entry) => {
+  const named = path.join(SKETCHES_DIR, entry, `${entry}.js`);
+  if (fs.existsSync(named)) return named;
+  if (fs.existsSync(entry)) return path.resolve(entry);
+  throw new Error(`No sketch named or at "${entry}"`);
+};
+
+// One line per file, with PNG sequences folded into their directory.
+const summarise = (files) => {
+  const sequences = new Map();
+  const lines = [];
+  files.forEach((file) => {
+    if (!/^\d+\.png$/.test(path.basename(file))) {
+      lines.push(path.relative(".", file));
+      return;
+    }
+    const dir = path.relative(".", path.dirname(file));
+    sequences.set(dir, (sequences.get(dir) || 0) + 1);
+  });
+  sequences.forEach((count, dir) => lines.unshift(`${dir}/ (${count} frames)`));
+  return lines;
+};
+
+const main = async (argv) => {
+  const { entries, ...options } = parseArgs(argv);
+  if (!entries.length) {
+    console.error("Usage: npm run render -- <sketch...> [options]");
+    return 1;
+  }
+
+  for (const entry of entries) {
+    const files = await renderSketch({
+      ...options,
+      entry: resolveEntry(entry),
+      onFrame: (frame, frames) => {
+        if (!process.stdout.isTTY) return;
+        process.stdout.write(`\r${entry}: frame ${frame + 1}/${frames}`);
+      },
+    });
+    process.stdout.write(process.stdout.isTTY ? "\n" : `${entry}\n`);
+    summarise(files).forEach((line) => console.log(`  ${line}`));
+  }
+  return 0;
+};
+
+module.exports = { main, parseArgs, resolveEntry };
+
+if (require.main === module) {
+  main(process.argv.slice(2))
+    .then((code) => process.exit(code)) // Sketches may leave timers behind
+    .catch((error) => {
+      console.error("\nFailed to render:", error.message);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,102 @@
+// Just enough of `window`, `document` and friends for the sketches to load
+// in Node: module-level canvases (sketch-05's glyph grid), the seed overlay,
+// keyboard listeners, localStorage-backed presets and `?seed=` lookups.
+// Elements other than <canvas> are inert stubs.
+const { createCanvas } = require("@napi-rs/canvas");
+
+class StubElement {
+  constructor(tagName) {
+    this.tagName = tagName.toUpperCase();
+    this.style = {};
+    this.dataset = {};
+    this.children = [];
+    this.textContent = "";
+  }
+
+  appendChild(child) {
+    this.children.push(child);
+    return child;
+  }
+
+  removeChild(child) {
+    this.children = this.children.filter((c) => c !== child);
+    return child;
+  }
+
+  remove() {}
+  setAttribute() {}
+  addEventListener() {}
+  removeEventListener() {}
+  click() {}
+}
+
+class MemoryStorage {
+  constructor() {
+    this.items = new Map();
+  }
+
+  getItem(key) {
+    return this.items.has(key) ? this.items.get(key) : null;
+  }
+
+  setItem(key, value) {
+    this.items.set(key, String(value));
+  }
+
+  removeItem(key) {
+    this.items.delete(key);
+  }
+
+  clear() {
+    this.items.clear();
+  }
+}
+
+// `search` is the page's query string, e.g. "?seed=1234".
+const installDomShim = ({ search = "", width = 1080, height = 1080 } = {}) => {
+  const listeners = () => ({ addEventListener() {}, removeEventListener() {} });
+
+  const document = {
+    ...listeners(),
+    body: new StubElement("body"),
+    head: new StubElement("head"),
+    createElement: (tagName) =>
+      tagName.toLowerCase() === "canvas"
+        ? createCanvas(300, 150) // Browser default size
+        : new StubElement(tagName),
+    querySelector: () => null,
+    getElementById: () => null,
+  };
+
+  const window = {
+    ...listeners(),
+    document,
+    location: { search, href: `file:///headless${search}` },
+    devicePixelRatio: 1,
+    innerWidth: width,
+    innerHeight: height,
+  };
+
+  const globals = {
+    window,
+    document,
+    localStorage: new MemoryStorage(),
+    requestAnimationFrame: (fn) => setTimeout(() => fn(performance.now()), 16),
+    cancelAnimationFrame: (id) => clearTimeout(id),
+  };
+  // Node 21+ ships its own navigator; audio and MIDI stay unavailable either way
+  if (typeof globalThis.navigator === "undefined") {
+    globals.navigator = { userAgent: "node" };
+  }
+
+  Object.entries(globals).forEach(([key, value]) => {
+    Object.defineProperty(globalThis, key, {
+      value,
+      configurable: true,
+      writable: true,
+    });
+  });
+  return window;
+};
+
+module.exports = { installDomShim, StubElement, MemoryStorage };
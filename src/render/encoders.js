@@ -0,0 +1,108 @@
+// Frame sinks for the headless renderer. Each takes frames through
+// `add(canvas)` and writes its file(s) on `finish()`, returning the paths.
+const fs = require("fs");
+const path = require("path");
+const { spawn } = require("child_process");
+const { GIFEncoder, quantize, applyPalette } = require("gifenc");
+
+const pad = (frame, digits = 4) => String(frame).padStart(digits, "0");
+
+const readPixels = (canvas) =>
+  canvas.getContext("2d").getImageData(0, 0, canvas.width, canvas.height).data;
+
+// One PNG per frame in `dir`, named by frame number unless `name` says
+// otherwise.
+const createPngWriter = (
+  dir,
+  { name = (frame) => `${pad(frame)}.png` } = {}
+) => {
+  fs.mkdirSync(dir, { recursive: true });
+  const files = [];
+  return {
+    add: async (canvas) => {
+      const file = path.join(dir, name(files.length));
+      await fs.promises.writeFile(file, await canvas.encode("png"));
+      files.push(file);
+    },
+    finish: async () => files,
+  };
+};
+
+// Animated GIF with a palette per frame, looping forever.
+const createGifWriter = (file, { fps }) => {
+  const gif = GIFEncoder();
+  const delay = Math.round(1000 / fps);
+  return {
+    add: async (canvas) => {
+      const data = readPixels(canvas);
+      const palette = quantize(data, 256);
+      const index = applyPalette(data, palette);
+      gif.writeFrame(index, canvas.width, canvas.height, { palette, delay });
+    },
+    finish: async () => {
+      gif.finish();
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      await fs.promises.writeFile(file, gif.bytes());
+      return [file];
+    },
+  };
+};
+
+// H.264 MP4 through a local ffmpeg, fed raw RGBA frames on stdin.
+const createMp4Writer = (file, { fps, width, height, ffmpeg = "ffmpeg" }) => {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const args = [
+    "-y",
+    "-loglevel", "error",
+    "-f", "rawvideo",
+    "-pix_fmt", "rgba",
+    "-s", `${width}x${height}`,
+    "-framerate", String(fps),
+    "-i", "-",
+    "-vf", "scale=trunc(iw/2)*2:trunc(ih/2)*2", // yuv420p needs even sizes
+    "-c:v", "libx264",
+    "-pix_fmt", "yuv420p",
+    "-crf", "18",
+    "-movflags", "+faststart",
+    file,
+  ];
+
+  const child = spawn(ffmpeg, args, { stdio: ["pipe", "inherit", "inherit"] });
+
+  const done = new Promise((resolve, reject) => {
+    child.on("error", (error) => {
+      if (error.code === "ENOENT") {
+        const hint = "install it or pass --ffmpeg <path>";
+        reject(new Error(`ffmpeg not found (${ffmpeg}); ${hint}`));
+      } else reject(error);
+    });
+    child.on("close", (code) => {
+      if (code === 0) resolve([file]);
+      else reject(new Error(`ffmpeg exited with code ${code}`));
+    });
+  });
+  // Surface a missing ffmpeg on the next frame rather than at the end
+  let failure = null;
+  done.catch((error) => (failure = error));
+  child.stdin.on("error", () => {}); // Reported through `done`
+
+  return {
+    add: async (canvas) => {
+      if (failure) throw failure;
+      const pixels = readPixels(canvas);
+      const data = Buffer.from(pixels.buffer, pixels.byteOffset, pixels.length);
+      if (!child.stdin.write(data)) {
+        await Promise.race([
+          new Promise((resolve) => child.stdin.once("drain", resolve)),
+          done,
+        ]);
+      }
+    },
+    finish: async () => {
+      child.stdin.end();
+      return done;
+    },
+  };
+};
+
+module.exports = { createPngWriter, createGifWriter, createMp4Writer, pad };
@@ -0,0 +1,178 @@
+// Renders a sketch module in Node: bundles it with esbuild (canvas-sketch
+// and tweakpane swapped for the shims in ./shims), runs it against the DOM
+// shim and feeds every frame to the requested encoders.
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const esbuild = require("esbuild");
+const { getRandomSeed } = require("canvas-sketch-util/random");
+const { installDomShim } = require("./dom-shim");
+const { HeadlessManager, DEFAULT_DIMENSIONS } = require("./HeadlessManager");
+const {
+  createPngWriter,
+  createGifWriter,
+  createMp4Writer,
+} = require("./encoders");
+
+const FORMATS = ["png", "gif", "mp4"];
+const DEFAULT_ANIMATED_FRAMES = 120; // For sketches that loop forever
+
+const bundle = async (entry) => {
+  const result = await esbuild.build({
+    entryPoints: [entry],
+    bundle: true,
+    platform: "node",
+    format: "cjs",
+    write: false,
+    logLevel: "error",
+    alias: {
+      "canvas-sketch": path.join(__dirname, "shims/canvas-sketch.js"),
+      tweakpane: path.join(__dirname, "shims/tweakpane.js"),
+    },
+    nodePaths: (process.env.NODE_PATH || "")
+      .split(path.delimiter)
+      .filter(Boolean),
+  });
+  return result.outputFiles[0].text;
+};
+
+// Run the bundled sketch and resolve with its manager once canvasSketch()
+// has been called and the sketch function has set up.
+const loadSketch = async (code, { size, fps }) => {
+  let ready = null;
+  globalThis.__headlessSketch = {
+    register: (sketch, settings) => {
+      const manager = new HeadlessManager(settings, { size, fps });
+      ready = manager.load(sketch);
+      return ready;
+    },
+  };
+
+  // Everything but Node built-ins is inlined, so a temp file runs anywhere
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "visual-sketches-"));
+  const file = path.join(dir, "sketch.js");
+  try {
+    fs.writeFileSync(file, code);
+    require(file);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+
+  if (!ready) throw new Error("The sketch never called canvasSketch()");
+  return ready;
+};
+
+const createWriters = ({ formats, frames, out, base, manager, ffmpeg }) => {
+  const { width, height } = manager.canvas;
+  const { fps } = manager;
+  return formats.map((format) => {
+    if (format === "png" && frames === 1) {
+      return createPngWriter(out, { name: () => `${base}.png` });
+    }
+    if (format === "png") return createPngWriter(path.join(out, base));
+    if (format === "gif")
+      return createGifWriter(path.join(out, `${base}.gif`), { fps });
+    if (format === "mp4") {
+      return createMp4Writer(path.join(out, `${base}.mp4`), {
+        fps,
+        width,
+        height,
+        ffmpeg,
+      });
+    }
+    throw new Error(
+      `Unknown format "${format}", expected ${FORMATS.join(", ")}`
+    );
+  });
+};
+
+// Data layers a single-frame export returns next to the canvas, like the
+// JSON sidecar from exportWithSeed() or the SVG from exportWithSvg().
+const findLayers = (result) =>
+  Array.isArray(result)
+    ? result.filter((item) => item && item.data && item.extension)
+    : [];
+
+// Render `entry` and return the written file paths. `size` is [w, h] in
+// output pixels (defaults to the sketch's dimensions), `frames` defaults to
+// one loop of the sketch, or a single frame for still sketches.
+const renderSketch = async ({
+  entry,
+  frames,
+  size,
+  fps,
+  seed = getRandomSeed(),
+  formats = ["png"],
+  out,
+  ffmpeg,
+  onFrame,
+}) => {
+  entry = path.resolve(entry);
+  const name = path.basename(entry, path.extname(entry));
+  out = out || path.join(path.dirname(entry), "output", "render");
+  seed = String(seed);
+
+  installDomShim({
+    search: `?seed=${encodeURIComponent(seed)}`,
+    width: size ? size[0] : DEFAULT_DIMENSIONS[0],
+    height: size ? size[1] : DEFAULT_DIMENSIONS[1],
+  });
+
+  const manager = await loadSketch(await bundle(entry), { size, fps });
+  const { animate } = manager.settings;
+  const total = manager.totalFrames;
+  if (!frames) {
+    if (!animate) frames = 1;
+    else frames = Number.isFinite(total) ? total : DEFAULT_ANIMATED_FRAMES;
+  }
+
+  const base = `${name}-seed-${seed}`;
+  const writers = createWriters({
+    formats,
+    frames,
+    out,
+    base,
+    manager,
+    ffmpeg,
+  });
+  manager.recording = frames > 1;
+
+  let layers = [];
+  for (let frame = 0; frame < frames; frame++) {
+    const result = manager.renderFrame(frame);
+    if (frame === 0) layers = findLayers(result);
+    for (const writer of writers) await writer.add(manager.canvas);
+    if (onFrame) onFrame(frame, frames);
+  }
+
+  const files = [];
+  for (const writer of writers) files.push(...(await writer.finish()));
+
+  fs.mkdirSync(out, { recursive: true });
+  let sidecar = null;
+  layers.forEach(({ data, extension }) => {
+    if (extension === ".json") {
+      sidecar = JSON.parse(data);
+      return;
+    }
+    const file = path.join(out, `${base}${extension}`);
+    fs.writeFileSync(file, data);
+    files.push(file);
+  });
+
+  const metadata = {
+    ...sidecar,
+    seed,
+    fps: manager.fps,
+    frames,
+    size: [manager.canvas.width, manager.canvas.height],
+  };
+  const metadataFile = path.join(out, `${base}.json`);
+  fs.writeFileSync(metadataFile, JSON.stringify(metadata, null, 2));
+  files.push(metadataFile);
+
+  manager.unload();
+  return files;
+};
+
+module.exports = { renderSketch, bundle, FORMATS };
@@ -0,0 +1,9 @@
+// Stand-in for canvas-sketch when a sketch is bundled by the headless
+// renderer: hands the sketch and its settings to the host that loadSketch()
+// in render/render-sketch.js sets as globalThis.__headlessSketch, instead of
+// mounting a canvas in the page.
+module.exports = (sketch, settings = {}) => {
+  const host = globalThis.__headlessSketch;
+  if (!host) throw new Error("canvas-sketch shim used outside the renderer");
+  return host.register(sketch, settings);
+};
@@ -0,0 +1,21 @@
+// No-op Tweakpane for headless renders. Every method returns another no-op
+// so panels, folders, bindings and buttons can be built and never shown.
+const noop = new Proxy(function () {}, {
+  get: (target, key) => {
+    if (key === "then") return undefined; // not a thenable
+    if (key === "hidden" || key === "disabled") return false;
+    if (key === Symbol.toPrimitive) return () => "";
+    return noop;
+  },
+  set: () => true,
+  apply: () => noop,
+  construct: () => noop,
+});
+
+class Pane {
+  constructor() {
+    return noop;
+  }
+}
+
+module.exports = { Pane };
@@ -1,12 +1,68 @@
 import canvasSketch from "canvas-sketch";
+import { random } from "@visual-sketches/utils/Random";
+import { ControlPanel } from "@visual-sketches/utils/ControlPanel";
+import { PresetManager } from "@visual-sketches/utils/Presets";
+import {
+  Palette,
+  PALETTE_OPTIONS,
+  THEMES,
+  SPACES,
+} from "@visual-sketches/utils/Palette";
+import {
+  attachSeedControls,
+  exportWithSeed,
+} from "@visual-sketches/utils/SeedControls";
+import { PlotterContext, exportWithSvg } from "@visual-sketches/utils/Plotter";
 
 const settings = {
   dimensions: [1080, 1080],
 };
 
+// SVG written next to exported PNGs, ready for a plotter
+const plot = {
+  units: "mm",
+  size: [200, 200],
+  margin: 10,
+  merge: true,
+  optimise: true,
+};
+
+let manager;
+
+const params = {
+  palette: "mono",
+  theme: "light", // light | dark, swaps background and foreground
+  colourBy: "solid", // solid | index | noise, per square
+  colourSpace: "oklab", // Gradient interpolation for noise
+};
+
+const schema = {
+  palette: { folder: "Colour", options: PALETTE_OPTIONS },
+  theme: { folder: "Colour", options: THEMES },
+  colourBy: {
+    folder: "Colour",
+    label: "Colour By",
+    options: ["solid", "index", "noise"],
+  },
+  colourSpace: { folder: "Colour", label: "Blend In", options: SPACES },
+};
+
+const palette = new Palette();
+
 const sketch = () => {
-  return ({ context, width, height }) => {
-    context.fillStyle = "white";
+  const plotter = new PlotterContext();
+
+  return (props) => {
+    const { width, height } = props;
+    const context = plotter.record(props);
+    random.reset(); // Same seed, same squares on every render and export
+    palette.set({
+      name: params.palette,
+      theme: params.theme,
+      space: params.colourSpace,
+    });
+
+    context.fillStyle = palette.background;
     context.fillRect(0, 0, width, height);
 
     const cx = width * 0.15;
@@ -24,16 +80,38 @@ const sketch = () => {
         x = 100 + (w + gap) * i;
         y = 100 + (h + gap) * j;
 
+        context.strokeStyle = palette.pick(params.colourBy, {
+          index: i * 5 + j,
+          noise: random.noise2D(i, j, 0.3),
+        });
         context.beginPath();
         context.rect(x, y, w, h);
 
-        if (Math.random() > 0.5) {
+        if (random.value() > 0.5) {
           context.rect(x + 8, y + 8, w - 16, h - 16);
         }
         context.stroke();
       }
     }
+
+    return exportWithSvg(exportWithSeed(props, { params }), plotter, plot);
   };
 };
 
-canvasSketch(sketch, settings);
+const createPane = () => {
+  const panel = new ControlPanel(params, schema);
+  const presets = new PresetManager(params, {
+    name: "sketch-01",
+    pane: panel,
+  });
+  panel.addPresets(presets);
+  panel.onChange(() => manager && manager.render());
+};
+
+const start = async () => {
+  manager = await canvasSketch(sketch, settings);
+  attachSeedControls(manager, sketch);
+};
+
+start();
+createPane();
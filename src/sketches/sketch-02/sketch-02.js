@@ -1,8 +1,23 @@
-const canvasSketch = require("canvas-sketch");
-const math = require("canvas-sketch-util/math");
-const random = require("canvas-sketch-util/random");
-const Tweakpane = require("tweakpane");
-const { AudioManager } = require("../../utils/AudioManager");
+import canvasSketch from "canvas-sketch";
+import { AudioManager } from "@visual-sketches/utils/AudioManager";
+import { random, SeededRandom } from "@visual-sketches/utils/Random";
+import { RadialRing } from "@visual-sketches/utils/RadialRing";
+import {
+  Palette,
+  PALETTE_OPTIONS,
+  THEMES,
+  SPACES,
+  MAPPINGS,
+} from "@visual-sketches/utils/Palette";
+import { ControlPanel } from "@visual-sketches/utils/ControlPanel";
+import { PresetManager } from "@visual-sketches/utils/Presets";
+import { ModulationMatrix } from "@visual-sketches/utils/Modulation";
+import { MidiMapper } from "@visual-sketches/utils/Midi";
+import { RemoteClient } from "@visual-sketches/utils/RemoteClient";
+import {
+  attachSeedControls,
+  exportWithSeed,
+} from "@visual-sketches/utils/SeedControls";
 
 const settings = {
   dimensions: [1080, 1080],
@@ -11,7 +26,8 @@ const settings = {
 
 const params = {
   debug: true, // Toggle debug visualization
-  volumeMultiplier: 5, // Control volume effect strength
+  audioDevice: "", // deviceId of the selected input, "" for the default
+  volumeMultiplier: 5, // How much volume affects rectangle width
   debugHeight: 100, // Height of debug panel
   arcWidthMultiplier: 2,    // How much volume affects line width
   arcRadiusMultiplier: 0.5, // How much volume affects radius
@@ -20,21 +36,130 @@ const params = {
   rectScaleMultiplier: 1.0,    // How much volume affects rectangle scale
   rectHeightMultiplier: 1.0,   // How much volume affects rectangle height
   rectOffsetMultiplier: 0.5,   // How much volume affects rectangle position
+  rings: 1, // Concentric rings of arcs
+  slices: 12, // Arcs per ring
+  ringSpacing: 0.25, // Inner rings shrink by this much of the radius each
+  jitter: 1, // How far each arc strays from the average arc
+  variant: 0, // Bumped by "Regenerate" for a new set of arcs on the same seed
+  palette: "mono",
+  theme: "light", // light | dark, swaps background and foreground
+  colourBy: "solid", // solid | index | noise | bands, per arc
+  colourSpace: "oklab", // Gradient interpolation for noise and bands
 };
 
+// Tweakpane controls for params
+const schema = {
+  debug: { folder: "Audio Controls", label: "Show Debug" },
+  volumeMultiplier: {
+    folder: "Audio Controls",
+    label: "Rectangle Width Effect",
+    min: 0,
+    max: 10,
+    step: 0.1,
+  },
+  arcWidthMultiplier: {
+    folder: "Audio Controls",
+    label: "Arc Width Effect",
+    min: 0,
+    max: 5,
+    step: 0.1,
+  },
+  arcRadiusMultiplier: {
+    folder: "Audio Controls",
+    label: "Arc Radius Effect",
+    min: 0,
+    max: 2,
+    step: 0.1,
+  },
+  arcLengthMultiplier: {
+    folder: "Audio Controls",
+    label: "Arc Length Effect",
+    min: 0,
+    max: 2,
+    step: 0.1,
+  },
+  rotationSpeed: {
+    folder: "Audio Controls",
+    label: "Rotation Speed",
+    min: -0.1,
+    max: 0.1,
+    step: 0.001,
+  },
+  rectScaleMultiplier: {
+    folder: "Audio Controls",
+    label: "Rectangle Scale Effect",
+    min: 0,
+    max: 3,
+    step: 0.1,
+  },
+  rectHeightMultiplier: {
+    folder: "Audio Controls",
+    label: "Rectangle Height Effect",
+    min: 0,
+    max: 3,
+    step: 0.1,
+  },
+  rectOffsetMultiplier: {
+    folder: "Audio Controls",
+    label: "Rectangle Position Effect",
+    min: 0,
+    max: 2,
+    step: 0.1,
+  },
+  rings: { folder: "Ring", min: 1, max: 6, step: 1 },
+  slices: { folder: "Ring", min: 3, max: 48, step: 1 },
+  ringSpacing: { folder: "Ring", label: "Ring Spacing", min: 0, max: 0.3 },
+  jitter: { folder: "Ring", label: "Randomness", min: 0, max: 1 },
+  variant: { folder: "Ring", type: "monitor" },
+  palette: { folder: "Colour", options: PALETTE_OPTIONS },
+  theme: { folder: "Colour", options: THEMES },
+  colourBy: { folder: "Colour", label: "Colour By", options: MAPPINGS },
+  colourSpace: { folder: "Colour", label: "Blend In", options: SPACES },
+};
+
+// New arcs without touching the seed or reloading
+const regenerate = () => {
+  params.variant += 1;
+};
+
+// Variant 0 draws the arcs from the seed itself, later ones from a fork of
+// it, so seed and variant together always give the same arcs
+const arcRandom = () =>
+  params.variant
+    ? random.fork(`arcs-${params.variant}`)
+    : new SeededRandom(random.getSeed());
+
+const palette = new Palette();
 const audioManager = new AudioManager();
+const modulation = new ModulationMatrix(params, { limits: schema });
+const midi = new MidiMapper(params, {
+  limits: schema,
+  modulation,
+  name: "sketch-02",
+});
+
+// Remote control through the local bridge; open the sketch with ?remote
+const remote = new RemoteClient({
+  name: "sketch-02",
+  params,
+  actions: {
+    startMicrophone: () =>
+      audioManager.startMicrophone({ deviceId: params.audioDevice || undefined }),
+    stopMicrophone: () => audioManager.stopMicrophone(),
+    reseed: () => random.reseed(),
+    regenerate: () => regenerate(),
+  },
+});
+remote.connectFromUrl();
+
+// Latest rolling metrics for the debug panel, pushed once per second
+let metrics = {};
+audioManager.on("metrics", (m) => (metrics = m));
+audioManager.on("stopped", () => (metrics = {}));
 
 const sketch = () => {
-  // Store init values for each arc (these are random)
-  const arcs = Array.from({ length: 12 }, () => ({
-    scale: random.range(0.1, 2),
-    heightScale: random.range(0.2, 0.5),
-    rectOffset: random.range(0, -0.5),
-    lineWidth: random.range(5, 20),
-    arcRadius: random.range(0.7, 1.3),
-    arcStart: random.range(1, -5),
-    arcEnd: random.range(0, 8),
-  }));
+  const ring = new RadialRing();
+  let layout = ""; // Arc count and variant the arcs were generated for
 
   // Helper function to draw debug info
   const drawDebug = (context, width, volume, metrics = {}) => {
@@ -49,7 +174,7 @@ const sketch = () => {
     context.fillRect(0, 0, width * volume, 20);
 
     // text information with access to metrics
-    context.fillStyle = "black";
+    context.fillStyle = palette.foreground;
     context.font = "12px monospace";
     context.fillText(`Current Volume: ${volume.toFixed(3)}`, 10, 35);
     context.fillText(`Peak Volume: ${(metrics.peakVolume || 0).toFixed(3)}`, 10, 50);
@@ -61,159 +186,93 @@ const sketch = () => {
     );
   };
 
-  return ({ context, width, height, frame = 0 }) => {
-    context.fillStyle = "white";
+  return (props) => {
+    const { context, width, height, frame = 0, time, deltaTime, exporting } =
+      props;
+    palette.set({
+      name: params.palette,
+      theme: params.theme,
+      space: params.colourSpace,
+    });
+    context.fillStyle = palette.background;
     context.fillRect(0, 0, width, height);
-    context.fillStyle = "black";
+    context.fillStyle = palette.foreground;
+    context.strokeStyle = palette.foreground;
 
     // audio data
-    const audioData = audioManager.getAudioData();
+    const audioData = audioManager.getAudioData({ frame, time, exporting });
+    modulation.update({ time, frame, deltaTime, audio: audioData });
+    remote.sendFeatures(audioData);
     const volume = audioData.volume || 0;
 
     if (params.debug) {
-      drawDebug(context, width, volume, audioData.metrics);
+      drawDebug(context, width, volume, metrics);
     }
 
     // Adjust drawing area for debug panel
     const drawingOffset = params.debug ? params.debugHeight : 0;
     const cx = width * 0.5;
     const cy = (height - drawingOffset) * 0.5 + drawingOffset;
-    const baseWidth = width * 0.01; // Base width for rectangles
-    const h = height * 0.1;
-    let x, y;
-
-    const num = 12;
     const radius = width * 0.3;
 
     // Add animation factor based on frame
     const rotation = frame * params.rotationSpeed;
 
-    for (let i = 0; i < num; i++) {
-      const slice = math.degToRad(360 / num);
-      const angle = slice * i + rotation; // Add rotation to angle
-      const arc = arcs[i];
-
-      x = cx + radius * Math.sin(angle);
-      y = cy + radius * Math.cos(angle);
-
-      // Modify rectangle width based on audio volume
-      const w = baseWidth * (1 + volume * params.volumeMultiplier);
-
-      // Draw rectangles using stored random values
-      context.save();
-      context.translate(x, y);
-      context.rotate(-angle);
-
-      // Modify scale based on volume
-      const volumeScale = 1 + volume * params.rectScaleMultiplier;
-      const volumeHeight = 1 + volume * params.rectHeightMultiplier;
-      context.scale(
-        arc.scale * volumeScale, 
-        arc.heightScale * volumeHeight
-      );
-
-      // Modify offset based on volume
-      const offsetWithVolume = h * arc.rectOffset * (1 + volume * params.rectOffsetMultiplier);
-
-      context.beginPath();
-      context.rect(-w * 0.5, offsetWithVolume, w, h);
-      context.fill();
-      context.restore();
-
-      // Draw arcs using stored random values
-      context.save();
-      context.translate(cx, cy);
-      context.rotate(-angle);
-
-      // Modify line width based on volume
-      context.lineWidth = arc.lineWidth * (1 + volume * params.volumeMultiplier);
-
-      // Modify arc radius based on volume
-      const dynamicRadius = radius * arc.arcRadius * (1 + volume * 0.5);
-
-      // Modify arc length based on volume
-      const arcStart = slice * arc.arcStart * (1 + volume);
-      const arcEnd = slice * arc.arcEnd * (1 + volume);
-
-      context.beginPath();
-      context.arc(
-        0,
-        0,
-        dynamicRadius,
-        arcStart,
-        arcEnd
-      );
-      context.stroke();
-      context.restore();
+    ring.set({
+      rings: params.rings,
+      slices: params.slices,
+      ringSpacing: params.ringSpacing,
+      jitter: params.jitter,
+      rectWidthEffect: params.volumeMultiplier,
+      rectScaleEffect: params.rectScaleMultiplier,
+      rectHeightEffect: params.rectHeightMultiplier,
+      rectOffsetEffect: params.rectOffsetMultiplier,
+      arcWidthEffect: params.arcWidthMultiplier,
+      arcRadiusEffect: params.arcRadiusMultiplier,
+      arcLengthEffect: params.arcLengthMultiplier,
+      colour: (index) =>
+        palette.pick(params.colourBy, {
+          index,
+          noise: random.noise2D(index * 0.5, frame * 0.01),
+          audio: audioData,
+        }),
+    });
+    if (layout !== `${ring.count}:${params.variant}`) {
+      ring.generate(arcRandom());
+      layout = `${ring.count}:${params.variant}`;
     }
+    ring.draw(context, { width, height, cx, cy, radius, rotation, volume });
+
+    return exportWithSeed(props, { params });
   };
 };
 
-// Add UI controls for audio
 const createPane = () => {
-  const pane = new Tweakpane.Pane();
-
-  const folder = pane.addFolder({ title: "Audio Controls" });
-  folder.addInput(params, "debug", { label: "Show Debug" });
-  folder.addInput(params, "volumeMultiplier", {
-    label: "Volume Effect",
-    min: 0,
-    max: 10,
-    step: 0.1,
-  });
-  folder.addButton({ title: "Start Microphone" }).on("click", async () => {
-    try {
-      await audioManager.startMicrophone();
-    } catch (error) {
-      console.error("Failed to start microphone:", error);
-    }
-  });
-  folder.addButton({ title: "Stop Microphone" }).on("click", () => {
-    audioManager.stopMicrophone();
-  });
-  folder.addInput(params, "arcWidthMultiplier", {
-    label: "Arc Width Effect",
-    min: 0,
-    max: 5,
-    step: 0.1,
-  });
-  folder.addInput(params, "arcRadiusMultiplier", {
-    label: "Arc Radius Effect",
-    min: 0,
-    max: 2,
-    step: 0.1,
-  });
-  folder.addInput(params, "arcLengthMultiplier", {
-    label: "Arc Length Effect",
-    min: 0,
-    max: 2,
-    step: 0.1,
-  });
-  folder.addInput(params, "rotationSpeed", {
-    label: "Rotation Speed",
-    min: -0.1,
-    max: 0.1,
-    step: 0.001,
+  const panel = new ControlPanel(params, schema);
+  panel.addAudioControls(audioManager, {
+    folder: "Audio Controls",
+    fps: settings.fps || 24, // canvas-sketch default fps
   });
-  folder.addInput(params, "rectScaleMultiplier", {
-    label: "Rectangle Scale Effect",
-    min: 0,
-    max: 3,
-    step: 0.1,
-  });
-  folder.addInput(params, "rectHeightMultiplier", {
-    label: "Rectangle Height Effect",
-    min: 0,
-    max: 3,
-    step: 0.1,
-  });
-  folder.addInput(params, "rectOffsetMultiplier", {
-    label: "Rectangle Position Effect",
-    min: 0,
-    max: 2,
-    step: 0.1,
+
+  const presets = new PresetManager(params, {
+    name: "sketch-02",
+    exclude: ["audioDevice"],
+    integers: ["rings", "slices", "variant"],
+    pane: panel,
+    extras: { modulation, midi },
+    getValue: (key) => modulation.getBase(key),
   });
+  panel.addButton("Ring", "Regenerate", regenerate);
+  panel.addPresets(presets);
+  panel.addModulation(modulation);
+  panel.addMidi(midi);
+  remote.on("set", () => panel.refresh());
+};
+
+const start = async () => {
+  const manager = await canvasSketch(sketch, settings);
+  attachSeedControls(manager, sketch);
 };
 
-canvasSketch(sketch, settings);
+start();
 createPane();
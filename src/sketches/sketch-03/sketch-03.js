@@ -1,50 +1,195 @@
-const canvasSketch = require("canvas-sketch");
-const random = require("canvas-sketch-util/random");
-const math = require("canvas-sketch-util/math");
-const { Agent } = require("../../utils/Agent");
+import canvasSketch from "canvas-sketch";
+import math from "canvas-sketch-util/math";
+import { Agent, BOUNDARY_MODES, EMITTERS } from "@visual-sketches/utils/Agent";
+import { SpatialHash } from "@visual-sketches/utils/SpatialHash";
+import { PointerInput } from "@visual-sketches/utils/Pointer";
+import { random } from "@visual-sketches/utils/Random";
+import { ControlPanel } from "@visual-sketches/utils/ControlPanel";
+import { PresetManager } from "@visual-sketches/utils/Presets";
+import {
+  Palette,
+  PALETTE_OPTIONS,
+  THEMES,
+  SPACES,
+} from "@visual-sketches/utils/Palette";
+import { PlotterContext, exportWithSvg } from "@visual-sketches/utils/Plotter";
+import {
+  attachSeedControls,
+  exportWithSeed,
+} from "@visual-sketches/utils/SeedControls";
 
 const settings = {
   dimensions: [1080, 1080],
   animate: true,
 };
 
+const params = {
+  agents: 40, // Flock size, adjustable live
+  linkDistance: 200, // Agents closer than this are connected
+  linkDensity: 6, // Links per agent on average at most, see render
+  boundary: "bounce", // bounce | wrap | respawn
+  restitution: 1, // Speed kept after bouncing off a wall
+  emitter: "random", // Where respawned agents reappear
+  pointerMode: "attract", // off | attract | repel, around the cursor or touches
+  pointerRadius: 300, // Agents further away ignore the pointer
+  pointerForce: 2, // Steering weight, against flocking's 1-1.5
+  plotSize: 200, // Square page for the SVG export, in mm
+  penWidth: 0.3, // mm; wider strokes are hatched with several passes
+  hatch: true,
+  palette: "mono",
+  theme: "light", // light | dark, swaps background and foreground
+  colourBy: "solid", // solid | index | noise (by position), per agent
+  colourSpace: "oklab", // Gradient interpolation for noise
+};
+
+const PERCEPTION = 50; // Agents' flocking radius
+
+const pointer = new PointerInput();
+const palette = new Palette();
+
 const sketch = ({ context, width, height }) => {
+  const hash = new SpatialHash(params.linkDistance);
+  const plotter = new PlotterContext();
+  const neighbours = [];
+
   let agents = [];
-  for (let i = 0; i < 40; i++) {
-    const x = random.range(0, width);
-    const y = random.range(0, height);
+  const spawn = (count) => {
+    for (let i = 0; i < count; i++) {
+      const x = random.range(0, width);
+      const y = random.range(0, height);
 
-    agents.push(new Agent(x, y));
-  }
+      agents.push(new Agent(x, y, { perception: PERCEPTION }));
+    }
+  };
+  spawn(params.agents);
+  let count = params.agents; // Agent count the flock was last sized for
 
-  return ({ context, width, height }) => {
-    context.fillStyle = "white";
+  return (props) => {
+    const { width, height, deltaTime } = props;
+    // Grow or shrink the flock when the count changes
+    if (params.agents !== count) {
+      if (params.agents > agents.length) spawn(params.agents - agents.length);
+      else agents.length = params.agents;
+      count = params.agents;
+    }
+    const context = plotter.record(props);
+    pointer.update(props);
+    const pointers = params.pointerMode === "off" ? [] : pointer.list();
+    palette.set({
+      name: params.palette,
+      theme: params.theme,
+      space: params.colourSpace,
+    });
+    context.fillStyle = palette.background;
     context.fillRect(0, 0, width, height);
+    context.strokeStyle = palette.foreground;
 
-    for (i = 0; i < agents.length; i++) {
-      const agent = agents[i];
-      for (j = i + 1; j < agents.length; j++) {
-        const other = agents[j];
+    // Shorten the links as the flock grows, so each agent averages at most
+    // linkDensity of them and big flocks cost the same per agent. The hash's
+    // cells follow, down to the flocking radius, so both searches only visit
+    // nearby agents. Even so 2500 agents is about what fits a 60fps frame,
+    // see utils/bench/spatial-hash.js.
+    const linkDistance = Math.min(
+      params.linkDistance,
+      SpatialHash.densityRadius(params.linkDensity, agents.length, width * height)
+    );
+    hash.cellSize = Math.max(linkDistance, PERCEPTION);
+    hash.rebuild(agents);
+    hash.forEachPair(linkDistance, (agent, other, dist) => {
+      context.lineWidth = math.mapRange(dist, 0, linkDistance, 12, 1);
 
-        const dist = agent.pos.getDistance(other.pos);
+      context.beginPath();
+      context.moveTo(agent.pos.x, agent.pos.y);
+      context.lineTo(other.pos.x, other.pos.y);
+      context.stroke();
+    });
 
-        if (dist > 200) continue;
+    agents.forEach((agent, i) => {
+      const { x, y } = agent.pos;
+      agent.flock(hash.queryRadius(x, y, agent.perception, neighbours));
+      agent.wander();
+      pointers.forEach(({ pos }) => {
+        if (params.pointerMode === "repel") {
+          agent.flee(pos, params.pointerForce, params.pointerRadius);
+        } else {
+          agent.seek(pos, params.pointerForce, params.pointerRadius);
+        }
+      });
+      agent.step(deltaTime);
+      agent.constrain(width, height, {
+        boundary: params.boundary,
+        restitution: params.restitution,
+        emitter: EMITTERS[params.emitter],
+      });
 
-        context.lineWidth = math.mapRange(dist, 0, 200, 12, 1);
+      context.strokeStyle = palette.pick(params.colourBy, {
+        index: i,
+        noise: random.noise2D(agent.pos.x, agent.pos.y, 0.002),
+      });
+      if (params.boundary === "wrap") agent.drawWrapped(context, width, height);
+      else agent.draw(context);
+    });
 
-        context.beginPath();
-        context.moveTo(agent.pos.x, agent.pos.y);
-        context.lineTo(other.pos.x, other.pos.y);
-        context.stroke();
-      }
-    }
+    // Emitters may leave agents dead
+    agents = agents.filter((agent) => agent.alive);
 
-    agents.forEach((agent) => {
-      agent.update();
-      agent.draw(context);
-      agent.bounce(width, height);
+    return exportWithSvg(exportWithSeed(props, { params }), plotter, {
+      size: [params.plotSize, params.plotSize],
+      margin: 10,
+      penWidth: params.penWidth,
+      hatch: params.hatch,
+      merge: true,
+      optimise: true,
     });
   };
 };
 
-canvasSketch(sketch, settings);
+const schema = {
+  agents: { folder: "Agents", label: "Count", min: 1, max: 2500, step: 1 },
+  linkDensity: {
+    folder: "Agents",
+    label: "Links per Agent",
+    min: 1,
+    max: 20,
+    step: 1,
+  },
+  boundary: { folder: "Boundary", label: "Mode", options: BOUNDARY_MODES },
+  restitution: { folder: "Boundary", min: 0, max: 1.5, step: 0.05 },
+  emitter: { folder: "Boundary", options: Object.keys(EMITTERS) },
+  pointerMode: {
+    folder: "Pointer",
+    label: "Mode",
+    options: ["off", "attract", "repel"],
+  },
+  pointerRadius: { folder: "Pointer", label: "Radius", min: 50, max: 1000 },
+  pointerForce: { folder: "Pointer", label: "Force", min: 0, max: 5 },
+  plotSize: { folder: "Plot", label: "Size (mm)", min: 50, max: 600, step: 10 },
+  penWidth: { folder: "Plot", label: "Pen (mm)", min: 0.1, max: 2, step: 0.05 },
+  hatch: { folder: "Plot", label: "Hatch Thick Lines" },
+  palette: { folder: "Colour", options: PALETTE_OPTIONS },
+  theme: { folder: "Colour", options: THEMES },
+  colourBy: {
+    folder: "Colour",
+    label: "Colour By",
+    options: ["solid", "index", "noise"],
+  },
+  colourSpace: { folder: "Colour", label: "Blend In", options: SPACES },
+};
+
+const createPane = () => {
+  const panel = new ControlPanel(params, schema);
+  const presets = new PresetManager(params, {
+    name: "sketch-03",
+    integers: ["agents", "linkDensity"],
+    pane: panel,
+  });
+  panel.addPresets(presets);
+};
+
+const start = async () => {
+  const manager = await canvasSketch(sketch, settings);
+  attachSeedControls(manager, sketch);
+};
+
+start();
+createPane();
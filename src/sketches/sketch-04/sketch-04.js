@@ -1,8 +1,28 @@
-const canvasSketch = require("canvas-sketch");
-const random = require("canvas-sketch-util/random");
-const math = require("canvas-sketch-util/math");
-const Tweakpane = require("tweakpane");
-const { AudioManager } = require("../../utils/AudioManager");
+import canvasSketch from "canvas-sketch";
+import math from "canvas-sketch-util/math";
+import { AudioManager } from "@visual-sketches/utils/AudioManager";
+import { Agent, EMITTERS } from "@visual-sketches/utils/Agent";
+import { Vector } from "@visual-sketches/utils/Vector";
+import { random } from "@visual-sketches/utils/Random";
+import { ControlPanel } from "@visual-sketches/utils/ControlPanel";
+import { PresetManager } from "@visual-sketches/utils/Presets";
+import { ModulationMatrix } from "@visual-sketches/utils/Modulation";
+import { MidiMapper } from "@visual-sketches/utils/Midi";
+import { RemoteClient } from "@visual-sketches/utils/RemoteClient";
+import { PointerInput } from "@visual-sketches/utils/Pointer";
+import { NoiseField, NOISE_TYPES } from "@visual-sketches/utils/Noise";
+import {
+  Palette,
+  PALETTE_OPTIONS,
+  THEMES,
+  SPACES,
+  MAPPINGS,
+} from "@visual-sketches/utils/Palette";
+import { PlotterContext, exportWithSvg } from "@visual-sketches/utils/Plotter";
+import {
+  attachSeedControls,
+  exportWithSeed,
+} from "@visual-sketches/utils/SeedControls";
 
 const settings = {
   dimensions: [1080, 1080],
@@ -10,32 +30,171 @@ const settings = {
 };
 
 const params = {
+  mode: "grid", // grid | particles
   cols: 10,
   rows: 10,
   scaleMin: 1,
   scaleMax: 30,
+  noiseType: "simplex", // One of NOISE_TYPES; curl reads best with amp 1
   freq: 0.001,
   amp: 0.2,
+  octaves: 4, // fbm, ridged, warped and curl
+  lacunarity: 2,
+  gain: 0.5,
+  warp: 1, // warped only
+  loop: 0, // Frames per seamless loop; 0 scrolls the noise sideways instead
   animate: true,
   frame: 0,
   lineCap: "butt",
+  particles: 3000, // Particle mode: tracers following the field
+  stepSize: 2, // Top speed, px per 1/60s
+  trailDecay: 0.04, // Share of the trails faded out each frame
+  particleWidth: 1,
+  colourBy: "angle", // angle | speed | volume, along the palette
+  palette: "spectrum",
+  theme: "light", // light | dark, swaps background and foreground
+  gridColourBy: "noise", // solid | index | noise | bands, per line
+  colourSpace: "oklch", // Gradient interpolation
+  pointerRadius: 250, // The field bends within this distance of the pointer
+  pointerStrength: 4, // How far the noise is pushed away, negative pulls in
   // Audio visualization parameters
   volumeScale: 3.0, // Increased from 1.5 to 3.0 for more dramatic effect
   volumeRotation: 1.0, // Increased from 0.5 to 1.0 for more rotation
   showDebug: true, // Toggle debug visualization
+  audioDevice: "", // deviceId of the selected input, "" for the default
   debugBarHeight: 20, // Height of debug bar
+  plotSize: 200, // Square page for the SVG export, in mm
+  penWidth: 0.3, // mm; wider strokes are hatched with several passes
+  hatch: true,
+};
+
+const schema = {
+  mode: { options: ["grid", "particles"] },
+  lineCap: { folder: "Grid", options: ["butt", "round", "square"] },
+  cols: { folder: "Grid", min: 2, max: 50, step: 1 },
+  rows: { folder: "Grid", min: 2, max: 50, step: 1 },
+  scaleMin: { folder: "Grid", min: 1, max: 100 },
+  scaleMax: { folder: "Grid", min: 1, max: 100 },
+
+  particles: {
+    folder: "Particles",
+    label: "Count",
+    min: 100,
+    max: 10000,
+    step: 100,
+  },
+  stepSize: { folder: "Particles", label: "Step Size", min: 0.1, max: 10 },
+  trailDecay: { folder: "Particles", label: "Trail Decay", min: 0, max: 0.5 },
+  particleWidth: { folder: "Particles", label: "Line Width", min: 0.5, max: 5 },
+  colourBy: {
+    folder: "Particles",
+    label: "Colour By",
+    options: ["angle", "speed", "volume"],
+  },
+
+  noiseType: { folder: "Noise", label: "Type", options: NOISE_TYPES },
+  freq: { folder: "Noise", min: -0.01, max: 0.01 },
+  amp: { folder: "Noise", min: 0, max: 1 },
+  octaves: { folder: "Noise", min: 1, max: 8, step: 1 },
+  lacunarity: { folder: "Noise", min: 1, max: 4 },
+  gain: { folder: "Noise", min: 0, max: 1 },
+  warp: { folder: "Noise", min: 0, max: 4 },
+  loop: { folder: "Noise", label: "Loop (frames)", min: 0, max: 480, step: 1 },
+  animate: { folder: "Noise" },
+  frame: { folder: "Noise", min: 0, max: 999 },
+
+  palette: { folder: "Colour", options: PALETTE_OPTIONS },
+  theme: { folder: "Colour", options: THEMES },
+  gridColourBy: {
+    folder: "Colour",
+    label: "Grid Colour By",
+    options: MAPPINGS,
+  },
+  colourSpace: { folder: "Colour", label: "Blend In", options: SPACES },
+
+  pointerRadius: { folder: "Pointer", label: "Radius", min: 0, max: 1000 },
+  pointerStrength: { folder: "Pointer", label: "Strength", min: -10, max: 10 },
+
+  volumeScale: { folder: "Audio", min: 0, max: 5, step: 0.1 },
+  volumeRotation: { folder: "Audio", min: 0, max: 3, step: 0.1 },
+  showDebug: { folder: "Audio", label: "Show Debug Bar" },
+
+  plotSize: { folder: "Plot", label: "Size (mm)", min: 50, max: 600, step: 10 },
+  penWidth: { folder: "Plot", label: "Pen (mm)", min: 0.1, max: 2, step: 0.05 },
+  hatch: { folder: "Plot", label: "Hatch Thick Lines" },
 };
 
 // Create a single instance of AudioManager
 const audioManager = new AudioManager();
+const modulation = new ModulationMatrix(params, { limits: schema });
+const midi = new MidiMapper(params, {
+  limits: schema,
+  modulation,
+  name: "sketch-04",
+});
+
+// Remote control through the local bridge; open the sketch with ?remote
+const remote = new RemoteClient({
+  name: "sketch-04",
+  params,
+  actions: {
+    startMicrophone: () =>
+      audioManager.startMicrophone({ deviceId: params.audioDevice || undefined }),
+    stopMicrophone: () => audioManager.stopMicrophone(),
+    reseed: () => random.reseed(),
+  },
+});
+remote.connectFromUrl();
+
+const pointer = new PointerInput();
+const field = new NoiseField();
+const palette = new Palette();
+
+// Position along the palette, 0-1, for a particle
+const shadeFor = (colourBy, { vel, maxSpeed }, volume) => {
+  if (colourBy === "speed") return vel.mag() / maxSpeed;
+  if (colourBy === "angle") return (vel.heading() + Math.PI) / (Math.PI * 2);
+  return volume;
+};
 
 const sketch = () => {
-  return ({ context, width, height, frame }) => {
-    context.fillStyle = "white";
+  const plotter = new PlotterContext();
+  const trails = document.createElement("canvas"); // Particle mode's accumulation layer
+  const trailContext = trails.getContext("2d");
+  let particles = [];
+  let lastMode;
+  // The particles draw from their own generator, so their count and
+  // respawns don't shift the shared random sequence
+  let particleRandom;
+  let particleSeed;
+
+  return (props) => {
+    const { width, height, frame, time, deltaTime, exporting } = props;
+    const context = plotter.record(props);
+    pointer.update(props);
+    const pointers = pointer.list();
+    field.set({
+      type: params.noiseType,
+      frequency: params.freq,
+      octaves: params.octaves,
+      lacunarity: params.lacunarity,
+      gain: params.gain,
+      warp: params.warp,
+      speed: Math.abs(params.freq) * 10, // As fast as the sideways scroll
+      loop: params.loop,
+    });
+    palette.set({
+      name: params.palette,
+      theme: params.theme,
+      space: params.colourSpace,
+    });
+    context.fillStyle = palette.background;
     context.fillRect(0, 0, width, height);
 
     // Get audio data
-    const audioData = audioManager.getAudioData();
+    const audioData = audioManager.getAudioData({ frame, time, exporting });
+    modulation.update({ time, frame, deltaTime, audio: audioData });
+    remote.sendFeatures(audioData);
     const volume = audioData.volume || 0;
 
     // Draw debug visualization if enabled
@@ -48,14 +207,14 @@ const sketch = () => {
       context.fillRect(0, 0, width * volume, params.debugBarHeight);
 
       // Draw volume text
-      context.fillStyle = "black";
+      context.fillStyle = palette.foreground;
       context.font = "12px Arial";
       context.fillText(`Volume: ${volume.toFixed(3)}`, 10, 15);
     }
 
     const cols = params.cols;
     const rows = params.rows;
-    const numCells = rows * cols;
+    const numCells = params.mode === "grid" ? rows * cols : 0;
 
     const gridw = width * 0.8;
     const gridh = height * 0.8;
@@ -65,6 +224,111 @@ const sketch = () => {
     const margy =
       (height - gridh) * 0.5 + (params.showDebug ? params.debugBarHeight : 0); // Adjust for debug bar
 
+    const f = params.animate ? frame : params.frame;
+    // Canvas position of the field's origin, the first cell's centre
+    const ox = margx + cellw * 0.5;
+    const oy = margy + cellh * 0.5;
+
+    // Noise value at field position (x, y)
+    const sampleField = (x, y) => {
+      // Sample the noise further away from any pointer nearby, so the
+      // field bulges out around it (and is left alone right under it)
+      let nx = x;
+      let ny = y;
+      pointers.forEach(({ pos }) => {
+        const dx = ox + x - pos.x;
+        const dy = oy + y - pos.y;
+        const d = Math.hypot(dx, dy);
+        if (d > params.pointerRadius) return;
+        const falloff = (1 - d / params.pointerRadius) ** 2;
+        nx += dx * falloff * params.pointerStrength;
+        ny += dy * falloff * params.pointerStrength;
+      });
+
+      // Incorporate volume into noise calculation
+      return params.loop
+        ? field.sample(nx, ny, f)
+        : field.sample(nx + f * 10, ny);
+    };
+
+    // Add volume influence to angle and scale with more dramatic effect
+    const angleFor = (n) =>
+      n * Math.PI * params.amp + volume * Math.PI * params.volumeRotation;
+
+    if (params.mode === "particles") {
+      // Fade the trails, then advance every particle along the field
+      // and draw the step it took
+      const { canvasWidth, canvasHeight } = props;
+      if (
+        lastMode !== params.mode ||
+        trails.width !== canvasWidth ||
+        trails.height !== canvasHeight
+      ) {
+        trails.width = canvasWidth; // Also clears it
+        trails.height = canvasHeight;
+      }
+      const pixelScale = canvasWidth / width; // Pixel ratio, export size
+      trailContext.setTransform(pixelScale, 0, 0, pixelScale, 0, 0);
+      trailContext.globalCompositeOperation = "destination-out";
+      trailContext.fillStyle = `rgba(0, 0, 0, ${params.trailDecay})`;
+      trailContext.fillRect(0, 0, width, height);
+      trailContext.globalCompositeOperation = "source-over";
+      trailContext.lineWidth = params.particleWidth;
+      trailContext.lineCap = "round";
+
+      // A new seed starts the particles over
+      if (particleSeed !== random.getSeed()) {
+        particleSeed = random.getSeed();
+        particleRandom = random.fork("particles");
+        particles = [];
+      }
+      const rng = particleRandom;
+      const count = Math.round(params.particles);
+      while (particles.length < count) {
+        const x = rng.range(0, width);
+        const y = rng.range(0, height);
+        particles.push(new Agent(x, y, { rng }));
+      }
+      particles.length = count;
+
+      particles.forEach((particle) => {
+        const { pos } = particle;
+        const n = sampleField(pos.x - ox, pos.y - oy);
+        // Faster where the field is high, as the grid's lines are wider
+        const speed = params.stepSize * math.mapRange(n, -1, 1, 0.25, 1, true);
+        particle.maxSpeed = params.stepSize;
+        // Ease into the field's direction and speed, so turns keep some
+        // inertia
+        particle.vel.lerp(Vector.fromAngle(angleFor(n), speed), 0.25);
+
+        const { x, y } = pos;
+        particle.step(deltaTime);
+        // Off the canvas, or now and then so they don't all pool in the
+        // same few lines: start over somewhere else
+        if (
+          pos.x < 0 ||
+          pos.x > width ||
+          pos.y < 0 ||
+          pos.y > height ||
+          rng.chance(0.005)
+        ) {
+          EMITTERS.random(particle, width, height);
+          return;
+        }
+
+        trailContext.strokeStyle = palette.at(
+          shadeFor(params.colourBy, particle, volume)
+        );
+        trailContext.beginPath();
+        trailContext.moveTo(x, y);
+        trailContext.lineTo(pos.x, pos.y);
+        trailContext.stroke();
+      });
+
+      context.drawImage(trails, 0, 0, width, height);
+    }
+    lastMode = params.mode;
+
     for (let i = 0; i < numCells; i++) {
       const col = i % cols;
       const row = Math.floor(i / cols);
@@ -74,22 +338,18 @@ const sketch = () => {
       const w = 0.8 * cellw;
       const h = 0.8 * cellh;
 
-      const f = params.animate ? frame : params.frame;
-
-      // Incorporate volume into noise calculation
-      const n = random.noise2D(x + f * 10, y, params.freq);
-
-      // Add volume influence to angle and scale with more dramatic effect
-      const angle =
-        n * Math.PI * params.amp + volume * Math.PI * params.volumeRotation;
+      const n = sampleField(x, y);
+      const angle = angleFor(n);
       const volumeInfluence = 1 + volume * params.volumeScale;
       const scale =
         math.mapRange(n, -1, 1, params.scaleMin, params.scaleMax) *
         volumeInfluence;
 
-      // Add color based on volume
-      const hue = (volume * 360) % 360;
-      context.strokeStyle = `hsl(${hue}, 70%, 50%)`;
+      context.strokeStyle = palette.pick(params.gridColourBy, {
+        index: i,
+        noise: n,
+        audio: audioData,
+      });
 
       context.save();
       context.translate(x, y);
@@ -107,43 +367,36 @@ const sketch = () => {
 
       context.restore();
     }
+
+    return exportWithSvg(exportWithSeed(props, { params }), plotter, {
+      size: [params.plotSize, params.plotSize],
+      margin: 10,
+      penWidth: params.penWidth,
+      hatch: params.hatch,
+      merge: true,
+      optimise: true,
+    });
   };
 };
 
 const createPane = () => {
-  const pane = new Tweakpane.Pane();
-  let folder;
-
-  folder = pane.addFolder({ title: "Grid" });
-  folder.addInput(params, "lineCap", {
-    options: { butt: "butt", round: "round", square: "square" },
-  });
-  folder.addInput(params, "cols", { min: 2, max: 50, step: 1 });
-  folder.addInput(params, "rows", { min: 2, max: 50, step: 1 });
-  folder.addInput(params, "scaleMin", { min: 1, max: 100 });
-  folder.addInput(params, "scaleMax", { min: 1, max: 100 });
-
-  folder = pane.addFolder({ title: "Noise" });
-  folder.addInput(params, "freq", { min: -0.01, max: 0.01 });
-  folder.addInput(params, "amp", { min: 0, max: 1 });
-  folder.addInput(params, "animate");
-  folder.addInput(params, "frame", { min: 0, max: 999 });
-
-  folder = pane.addFolder({ title: "Audio" });
-  folder.addInput(params, "volumeScale", { min: 0, max: 5, step: 0.1 });
-  folder.addInput(params, "volumeRotation", { min: 0, max: 3, step: 0.1 });
-  folder.addInput(params, "showDebug", { label: "Show Debug Bar" });
-  folder.addButton({ title: "Start Microphone" }).on("click", async () => {
-    try {
-      await audioManager.startMicrophone();
-    } catch (error) {
-      console.error("Failed to start microphone:", error);
-    }
+  const panel = new ControlPanel(params, schema);
+  panel.addAudioControls(audioManager, {
+    fps: settings.fps || 24, // canvas-sketch default fps
   });
 
-  folder.addButton({ title: "Stop Microphone" }).on("click", () => {
-    audioManager.stopMicrophone();
+  const presets = new PresetManager(params, {
+    name: "sketch-04",
+    exclude: ["audioDevice"],
+    integers: ["cols", "rows", "frame", "octaves", "loop", "particles"],
+    pane: panel,
+    extras: { modulation, midi },
+    getValue: (key) => modulation.getBase(key),
   });
+  panel.addPresets(presets);
+  panel.addModulation(modulation);
+  panel.addMidi(midi);
+  remote.on("set", () => panel.refresh());
 };
 
 // Cleanup on page unload
@@ -151,5 +404,10 @@ window.addEventListener("unload", () => {
   audioManager.cleanup();
 });
 
+const start = async () => {
+  const manager = await canvasSketch(sketch, settings);
+  attachSeedControls(manager, sketch);
+};
+
 createPane();
-canvasSketch(sketch, settings);
+start();
@@ -1,5 +1,29 @@
-const canvasSketch = require("canvas-sketch");
-const random = require("canvas-sketch-util/random");
+import canvasSketch from "canvas-sketch";
+import { random } from "@visual-sketches/utils/Random";
+import { ControlPanel } from "@visual-sketches/utils/ControlPanel";
+import { pickFile } from "@visual-sketches/utils/FileIO";
+import { PresetManager } from "@visual-sketches/utils/Presets";
+import {
+  Palette,
+  PALETTE_OPTIONS,
+  THEMES,
+  SPACES,
+} from "@visual-sketches/utils/Palette";
+import {
+  GlyphRenderer,
+  GLYPH_RAMPS,
+  DITHER_MODES,
+  COLOUR_MODES,
+  loadImage,
+  loadVideo,
+  startWebcam,
+  stopSource,
+} from "@visual-sketches/utils/GlyphRenderer";
+import {
+  attachSeedControls,
+  exportWithSeed,
+  isSeedKey,
+} from "@visual-sketches/utils/SeedControls";
 
 const settings = {
   dimensions: [1080, 1080],
@@ -7,143 +31,144 @@ const settings = {
 
 let manager;
 
-let text = "A";
-let fontSize = 1200;
-let fontFamily = "serif";
-
-const typeCanvas = document.createElement("canvas");
-const typeContext = typeCanvas.getContext("2d");
-
-const sketch = ({ context, width, height }) => {
-  const cell = 20;
-  const cols = Math.floor(width / cell);
-  const rows = Math.floor(height / cell);
-  const numCells = cols * rows;
-
-  typeCanvas.width = cols;
-  typeCanvas.height = rows;
-
-  return ({ context, width, height }) => {
-    typeContext.fillStyle = "black";
-    typeContext.fillRect(0, 0, cols, rows);
-
-    fontSize = cols * 1.2;
-
-    typeContext.fillStyle = "white";
-    typeContext.font = `${fontSize}px ${fontFamily}`;
-    typeContext.textBaseline = "top";
-
-    const metrics = typeContext.measureText(text);
-    const mx = metrics.actualBoundingBoxLeft * -1;
-    const my = metrics.actualBoundingBoxAscent * -1;
-    const mw = metrics.actualBoundingBoxLeft + metrics.actualBoundingBoxRight;
-    const mh =
-      metrics.actualBoundingBoxAscent + metrics.actualBoundingBoxDescent;
-
-    const tx = (cols - mw) * 0.5 - mx;
-    const ty = (rows - mh) * 0.5 - my;
-
-    typeContext.save();
-    typeContext.translate(tx, ty);
-
-    typeContext.beginPath();
-    typeContext.rect(mx, my, mw, mh);
-    typeContext.stroke();
-
-    typeContext.fillText(text, 0, 0);
-    typeContext.restore();
-
-    const typeData = typeContext.getImageData(0, 0, cols, rows).data;
-
-    context.fillStyle = "black";
-    context.fillRect(0, 0, width, height);
-
-    context.textBaseline = "middle";
-    context.textAlign = "center";
-
-    // context.drawImage(typeCanvas, 0, 0);
-
-    for (let i = 0; i < numCells; i++) {
-      const col = i % cols;
-      const row = Math.floor(i / cols);
-
-      const x = col * cell;
-      const y = row * cell;
-
-      const r = typeData[i * 4 + 0];
-      const g = typeData[i * 4 + 1];
-      const b = typeData[i * 4 + 2];
-      const a = typeData[i * 4 + 3];
-
-      const glyph = getGlyph(r);
-
-      context.font = `${cell * 2}px ${fontFamily}`;
-      if (Math.random() < 0.1) context.font = `${cell * 6}px ${fontFamily}`;
-
-      context.fillStyle = "white";
-
-      context.save();
-      context.translate(x, y);
-      context.translate(cell * 0.5, cell * 0.5);
-
-      // context.fillRect(0, 0, cell, cell);
-
-      context.fillText(glyph, 0, 0);
-
-      context.restore();
-    }
-  };
+const params = {
+  source: "text", // text | image | video | webcam
+  text: "A", // Typing on the canvas edits this too
+  ramp: "classic",
+  cell: 20,
+  fontFamily: "serif",
+  colour: "mono", // mono | source | palette (by brightness)
+  palette: "mono",
+  theme: "dark", // light | dark, swaps background and foreground
+  colourSpace: "oklab", // Gradient interpolation for palette colouring
+  dither: "none",
+  invert: false,
+  accentChance: 0.1, // Share of oversized glyphs
 };
 
-const getGlyph = (v) => {
-  if (v < 50) return "";
-  if (v < 100) return ".";
-  if (v < 150) return "-";
-  if (v < 200) return "+";
-
-  const glyphs = "_= /".split("");
+const schema = {
+  source: { folder: "Source", type: "monitor" },
+  text: { folder: "Source" },
+  ramp: { folder: "Glyphs", options: Object.keys(GLYPH_RAMPS) },
+  cell: { folder: "Glyphs", min: 6, max: 60, step: 1 },
+  fontFamily: {
+    folder: "Glyphs",
+    options: ["serif", "sans-serif", "monospace"],
+  },
+  accentChance: { folder: "Glyphs", min: 0, max: 0.5, step: 0.01 },
+  colour: { folder: "Colour", options: COLOUR_MODES },
+  palette: { folder: "Colour", options: PALETTE_OPTIONS },
+  theme: { folder: "Colour", options: THEMES },
+  colourSpace: { folder: "Colour", label: "Blend In", options: SPACES },
+  dither: { folder: "Colour", options: DITHER_MODES },
+  invert: { folder: "Colour" },
+};
 
-  return random.pick(glyphs);
+const palette = new Palette();
+const glyphs = new GlyphRenderer({
+  gradient: (t) => palette.at(t),
+}).setSource(params.text);
+
+const sketch = () => {
+  return (props) => {
+    const { context, width, height } = props;
+    random.reset(); // Same seed, same glyphs on every render and export
+
+    palette.set({
+      name: params.palette,
+      theme: params.theme,
+      space: params.colourSpace,
+    });
+    glyphs.set({
+      ramp: params.ramp,
+      cell: params.cell,
+      fontFamily: params.fontFamily,
+      colour: params.colour,
+      foreground: palette.foreground,
+      background: palette.background,
+      dither: params.dither,
+      invert: params.invert,
+      accentChance: params.accentChance,
+    });
+    glyphs.render(context, width, height);
+
+    return exportWithSeed(props, { params });
+  };
 };
 
-const onKeyUp = (e) => {
-  text = e.key.toUpperCase();
+// The sketch isn't animated, so videos and the webcam are redrawn here
+let frameRequest;
+const renderLive = () => {
   manager.render();
+  frameRequest = requestAnimationFrame(renderLive);
 };
 
-document.addEventListener("keyup", onKeyUp);
+const setSource = (type, source) => {
+  if (source !== glyphs.source) stopSource(glyphs.source);
+  cancelAnimationFrame(frameRequest);
+  params.source = type;
+  glyphs.setSource(source);
+  if (!manager) return;
+  if (glyphs.live) renderLive();
+  else manager.render();
+};
 
-const start = async () => {
-  manager = await canvasSketch(sketch, settings);
+const createPane = () => {
+  const panel = new ControlPanel(params, schema);
+
+  panel.onChange("text", () => setSource("text", params.text));
+  panel.addButton("Source", "Use Text", () => setSource("text", params.text));
+  panel.addButton("Source", "Load Image", async () => {
+    const file = await pickFile("image/*");
+    if (file) setSource("image", await loadImage(file));
+  });
+  panel.addButton("Source", "Load Video", async () => {
+    const file = await pickFile("video/*");
+    if (file) setSource("video", await loadVideo(file));
+  });
+  panel.addButton("Source", "Start Webcam", async () =>
+    setSource("webcam", await startWebcam())
+  );
+
+  const presets = new PresetManager(params, {
+    name: "sketch-05",
+    exclude: ["source"], // Images, videos and the webcam aren't stored
+    integers: ["cell"],
+    pane: panel,
+  });
+  panel.addPresets(presets);
+  presets.on("load", () => {
+    if (params.source === "text") setSource("text", params.text);
+  });
+
+  panel.onChange(() => {
+    if (manager && !glyphs.live) manager.render();
+  });
+  return panel;
 };
 
-start();
+const panel = createPane();
 
-/*
-const url = 'https://picsum.photos/200';
+// Typing writes the text: Backspace deletes, Escape clears
+const onKeyUp = (e) => {
+  if (isSeedKey(e) || e.metaKey || e.ctrlKey) return;
+  if (["INPUT", "TEXTAREA"].includes(e.target.tagName)) return;
 
-const loadMeSomeImage = (url) => {
-	return new Promise((resolve, reject) => {
-		const img = new Image();
-		img.onload = () => resolve(img);
-		img.onerror = () => reject();
-		img.src = url;
-	});
-};
+  if (e.key === "Backspace") params.text = params.text.slice(0, -1);
+  else if (e.key === "Escape") params.text = "";
+  else if (e.key === "Enter") params.text += "\n";
+  else if (e.key.length === 1) params.text += e.key;
+  else return;
 
-const start = async () => {
-	const img = await loadMeSomeImage(url);
-	console.log('image width', img.width);
-	console.log('this line');
+  panel.refresh();
+  setSource("text", params.text);
 };
 
-// const start = () => {
-// 	loadMeSomeImage(url).then(img => {
-// 		console.log('image width', img.width);
-// 	});
-// 	console.log('this line');
-// };
+document.addEventListener("keyup", onKeyUp);
 
+const start = async () => {
+  manager = await canvasSketch(sketch, settings);
+  attachSeedControls(manager, sketch);
+};
 
 start();
-*/
@@ -1,20 +1,231 @@
-const { Vector } = require("./Vector");
+import { random } from "./Random.js";
+import { Vector } from "./Vector.js";
+
+// Default weight per steering behaviour; override per agent via `weights`
+export const DEFAULT_WEIGHTS = {
+  seek: 1,
+  flee: 1,
+  arrive: 1,
+  wander: 1,
+  separation: 1.5,
+  alignment: 1,
+  cohesion: 1,
+};
+
+// Emitters place an agent that left the canvas in "respawn" mode. They get
+// (agent, width, height), draw from the agent's `rng`, and return false to
+// leave the agent dead.
+export const EMITTERS = {
+  // Anywhere on the canvas with a fresh random velocity
+  random: (agent, width, height) => {
+    const { rng } = agent;
+    agent.pos.set(rng.range(0, width), rng.range(0, height));
+    agent.vel.set(rng.range(-1, 1), rng.range(-1, 1));
+  },
+  // Just outside a random edge, heading inwards
+  edge: (agent, width, height) => {
+    const { rng } = agent;
+    const r = agent.radius;
+    const speed = agent.vel.mag() || 1;
+    switch (rng.rangeFloor(0, 4)) {
+      case 0:
+        agent.pos.set(rng.range(0, width), -r);
+        break;
+      case 1:
+        agent.pos.set(width + r, rng.range(0, height));
+        break;
+      case 2:
+        agent.pos.set(rng.range(0, width), height + r);
+        break;
+      default:
+        agent.pos.set(-r, rng.range(0, height));
+    }
+    const inward = new Vector(width * 0.5, height * 0.5).sub(agent.pos);
+    agent.vel.copy(inward.rotate(rng.range(-0.5, 0.5)).setMag(speed));
+  },
+};
+
+export const BOUNDARY_MODES = ["bounce", "wrap", "respawn"];
+
+// Speeds and forces are expressed per 1/60s frame, so an agent moves the same
+// whether it is driven by update() or step(dt) at any frame rate.
+const REFERENCE_FPS = 60;
 
 export class Agent {
-  constructor(x, y) {
+  constructor(
+    x,
+    y,
+    {
+      maxSpeed = 2,
+      maxForce = 0.05,
+      mass = 1,
+      perception = 50, // Neighbour radius for alignment and cohesion
+      separation = 25, // Desired minimum distance to neighbours
+      weights = {},
+      boundary = "bounce", // One of BOUNDARY_MODES, see constrain()
+      restitution = 1, // Speed kept after a bounce
+      emitter = EMITTERS.random,
+      rng = random, // Any SeededRandom, for this agent's own random draws
+    } = {}
+  ) {
+    this.rng = rng;
     this.pos = new Vector(x, y);
-    this.radius = random.range(4, 12);
-    this.vel = new Vector(random.range(-1, 1), random.range(-1, 1));
+    this.radius = rng.range(4, 12);
+    this.vel = new Vector(rng.range(-1, 1), rng.range(-1, 1));
+    this.acc = new Vector();
+    this.maxSpeed = maxSpeed;
+    this.maxForce = maxForce;
+    this.mass = mass;
+    this.perception = perception;
+    this.separation = separation;
+    this.weights = { ...DEFAULT_WEIGHTS, ...weights };
+    this.wanderAngle = rng.range(0, Math.PI * 2);
+    this.boundary = boundary;
+    this.restitution = restitution;
+    this.emitter = emitter;
+    this.alive = true;
+  }
+
+  // Accumulate a force for the next step()
+  applyForce(force) {
+    this.acc.addScaled(force, 1 / this.mass);
+    return this;
+  }
+
+  // Integrate accumulated forces over `dt` seconds and clear them
+  step(dt = 1 / REFERENCE_FPS) {
+    const t = dt * REFERENCE_FPS;
+    this.vel.addScaled(this.acc, t).limit(this.maxSpeed);
+    this.pos.addScaled(this.vel, t);
+    this.acc.set(0, 0);
   }
 
   update() {
-    this.pos.x += this.vel.x;
-    this.pos.y += this.vel.y;
+    this.step();
+  }
+
+  // Reynolds steering: desired velocity minus current, capped at maxForce
+  steer(desired) {
+    return desired.sub(this.vel).limit(this.maxForce);
+  }
+
+  applyBehaviour(name, force, weight) {
+    const w = weight ?? this.weights[name];
+    if (force && w) this.applyForce(force.scale(w));
+    return this;
+  }
+
+  // Steer towards `target`, only within `radius` if given
+  seek(target, weight, radius = Infinity) {
+    const desired = Vector.sub(target, this.pos);
+    if (desired.magSq() > radius * radius) return this;
+
+    desired.setMag(this.maxSpeed);
+    return this.applyBehaviour("seek", this.steer(desired), weight);
+  }
+
+  // Steer away from `target`, only within `radius` if given
+  flee(target, weight, radius = Infinity) {
+    const away = Vector.sub(this.pos, target);
+    if (away.magSq() > radius * radius) return this;
+
+    const desired = away.setMag(this.maxSpeed);
+    return this.applyBehaviour("flee", this.steer(desired), weight);
+  }
+
+  // Like seek, but slows down linearly inside `slowRadius`
+  arrive(target, weight, slowRadius = 100) {
+    const desired = Vector.sub(target, this.pos);
+    const d = desired.mag();
+    const speed =
+      d < slowRadius ? (d / slowRadius) * this.maxSpeed : this.maxSpeed;
+    desired.setMag(speed);
+    return this.applyBehaviour("arrive", this.steer(desired), weight);
+  }
+
+  // Seek a point on a circle projected ahead of the agent whose angle drifts
+  // randomly each call
+  wander(weight, { distance = 60, radius = 20, jitter = 0.3 } = {}) {
+    this.wanderAngle += this.rng.range(-jitter, jitter);
+
+    const ahead = this.vel.magSq() > 0 ? this.vel.clone() : new Vector(1, 0);
+    const target = ahead
+      .setMag(distance)
+      .add(this.pos)
+      .add(Vector.fromAngle(this.wanderAngle + ahead.heading(), radius));
+
+    const desired = target.sub(this.pos).setMag(this.maxSpeed);
+    return this.applyBehaviour("wander", this.steer(desired), weight);
+  }
+
+  // Flocking behaviours take the candidate neighbours (e.g. from a spatial
+  // index) and filter by distance themselves.
+  separate(neighbours, weight, distance = this.separation) {
+    const sum = new Vector();
+    let count = 0;
+
+    neighbours.forEach((other) => {
+      if (other === this) return;
+      const d = this.pos.getDistance(other.pos);
+      if (d > 0 && d < distance) {
+        // Weighted by inverse distance: closer neighbours push harder
+        sum.add(Vector.sub(this.pos, other.pos).normalize().scale(1 / d));
+        count++;
+      }
+    });
+
+    if (!count) return this;
+    sum.setMag(this.maxSpeed);
+    return this.applyBehaviour("separation", this.steer(sum), weight);
+  }
+
+  align(neighbours, weight, radius = this.perception) {
+    const sum = new Vector();
+    let count = 0;
+
+    neighbours.forEach((other) => {
+      if (other === this) return;
+      if (this.pos.getDistanceSq(other.pos) < radius * radius) {
+        sum.add(other.vel);
+        count++;
+      }
+    });
+
+    if (!count) return this;
+    sum.setMag(this.maxSpeed);
+    return this.applyBehaviour("alignment", this.steer(sum), weight);
+  }
+
+  cohere(neighbours, weight, radius = this.perception) {
+    const centre = new Vector();
+    let count = 0;
+
+    neighbours.forEach((other) => {
+      if (other === this) return;
+      if (this.pos.getDistanceSq(other.pos) < radius * radius) {
+        centre.add(other.pos);
+        count++;
+      }
+    });
+
+    if (!count) return this;
+    centre.scale(1 / count);
+    const desired = centre.sub(this.pos).setMag(this.maxSpeed);
+    return this.applyBehaviour("cohesion", this.steer(desired), weight);
+  }
+
+  // Separation, alignment and cohesion with the agent's weights
+  flock(neighbours) {
+    return this.separate(neighbours).align(neighbours).cohere(neighbours);
   }
 
   draw(context) {
+    this.drawAt(context, this.pos.x, this.pos.y);
+  }
+
+  drawAt(context, x, y) {
     context.save();
-    context.translate(this.pos.x, this.pos.y);
+    context.translate(x, y);
 
     context.lineWidth = 4;
 
@@ -26,12 +237,66 @@ export class Agent {
     context.restore();
   }
 
-  bounce(width, height) {
-    if (this.pos.x <= 0 || this.pos.x >= width) {
-      this.vel.x *= -1;
+  // In wrap mode, also draw the copies poking in from the opposite edges
+  drawWrapped(context, width, height) {
+    const { x, y } = this.pos;
+    const r = this.radius + 2; // Include half the stroke
+    const xs = [x];
+    const ys = [y];
+    if (x < r) xs.push(x + width);
+    if (x > width - r) xs.push(x - width);
+    if (y < r) ys.push(y + height);
+    if (y > height - r) ys.push(y - height);
+
+    xs.forEach((gx) => ys.forEach((gy) => this.drawAt(context, gx, gy)));
+  }
+
+  // Apply the agent's boundary mode; options override the agent's settings
+  constrain(width, height, options = {}) {
+    const {
+      boundary = this.boundary,
+      restitution = this.restitution,
+      emitter = this.emitter,
+    } = options;
+
+    if (boundary === "wrap") this.wrap(width, height);
+    else if (boundary === "respawn") this.respawn(width, height, emitter);
+    else this.bounce(width, height, restitution);
+  }
+
+  // Reflect off the walls at the circle's edge, not its centre. Clamping the
+  // position keeps agents that overshoot from flipping back and forth.
+  bounce(width, height, restitution = this.restitution) {
+    const r = this.radius;
+    if (this.pos.x < r) {
+      this.pos.x = r;
+      this.vel.x = Math.abs(this.vel.x) * restitution;
+    } else if (this.pos.x > width - r) {
+      this.pos.x = width - r;
+      this.vel.x = -Math.abs(this.vel.x) * restitution;
     }
-    if (this.pos.y <= 0 || this.pos.y >= height) {
-      this.vel.y *= -1;
+    if (this.pos.y < r) {
+      this.pos.y = r;
+      this.vel.y = Math.abs(this.vel.y) * restitution;
+    } else if (this.pos.y > height - r) {
+      this.pos.y = height - r;
+      this.vel.y = -Math.abs(this.vel.y) * restitution;
     }
   }
+
+  // Toroidal space: leaving one edge re-enters at the opposite one
+  wrap(width, height) {
+    this.pos.x = ((this.pos.x % width) + width) % width;
+    this.pos.y = ((this.pos.y % height) + height) % height;
+  }
+
+  // Once fully off-canvas the agent dies and the emitter may revive it
+  respawn(width, height, emitter = this.emitter) {
+    const r = this.radius;
+    const { x, y } = this.pos;
+    if (x >= -r && x <= width + r && y >= -r && y <= height + r) return;
+
+    this.alive = emitter ? emitter(this, width, height) !== false : false;
+    this.acc.set(0, 0);
+  }
 }
@@ -0,0 +1,163 @@
+// Default band edges in Hz. Override per instance with `bands`.
+export const DEFAULT_BANDS = {
+  sub: [20, 60],
+  bass: [60, 250],
+  mid: [250, 4000],
+  treble: [4000, 20000],
+};
+
+// Derives higher-level features from one analyser frame: named band levels,
+// spectral centroid/flux, RMS and an adaptive-threshold onset/beat detector
+// with a BPM estimate. Stateful (flux and onsets compare against previous
+// frames), so feed it frames in order.
+export class AudioFeatures {
+  constructor({
+    sampleRate = 44100,
+    fftSize = 1024,
+    bands = DEFAULT_BANDS,
+    onsetThreshold = 1.5, // Standard deviations above the recent mean flux
+    historySize = 43, // ~0.7s of frames at 60fps
+    minOnsetInterval = 0.1, // Seconds between onsets
+    beatBands = ["sub", "bass"], // Bands whose flux drives beat detection
+  } = {}) {
+    this.sampleRate = sampleRate;
+    this.fftSize = fftSize;
+    this.binCount = fftSize / 2;
+    this.onsetThreshold = onsetThreshold;
+    this.historySize = historySize;
+    this.minOnsetInterval = minOnsetInterval;
+    this.beatBands = beatBands;
+    this.setBands(bands);
+    this.reset();
+  }
+
+  setBands(bands) {
+    this.bands = bands;
+    this.bandBins = {};
+    const hzPerBin = this.sampleRate / this.fftSize;
+
+    Object.entries(bands).forEach(([name, [low, high]]) => {
+      const start = Math.min(Math.floor(low / hzPerBin), this.binCount - 1);
+      const end = Math.min(Math.ceil(high / hzPerBin), this.binCount);
+      this.bandBins[name] = [start, Math.max(end, start + 1)];
+    });
+  }
+
+  reset() {
+    this.prevSpectrum = new Float32Array(this.binCount);
+    this.prevBeatEnergy = 0;
+    this.fluxHistory = [];
+    this.beatHistory = [];
+    this.lastOnset = -Infinity;
+    this.lastBeat = -Infinity;
+    this.beatTimes = [];
+    this.bpm = 0;
+  }
+
+  // Zero-valued result with the same shape as compute()
+  static empty(bands = DEFAULT_BANDS) {
+    const levels = {};
+    Object.keys(bands).forEach((name) => (levels[name] = 0));
+    return {
+      bands: levels,
+      centroid: 0,
+      flux: 0,
+      rms: 0,
+      onset: false,
+      beat: false,
+      bpm: 0,
+    };
+  }
+
+  // `frequencyData` is the analyser's byte spectrum, `timeDomainData` a
+  // Float32Array of samples in [-1, 1], `time` the frame time in seconds.
+  compute(frequencyData, timeDomainData, time) {
+    const bands = {};
+    Object.entries(this.bandBins).forEach(([name, [start, end]]) => {
+      let sum = 0;
+      for (let k = start; k < end; k++) sum += frequencyData[k];
+      bands[name] = sum / (end - start) / 255;
+    });
+
+    const hzPerBin = this.sampleRate / this.fftSize;
+    let weighted = 0;
+    let total = 0;
+    let flux = 0;
+    for (let k = 0; k < this.binCount; k++) {
+      const m = frequencyData[k] / 255;
+      weighted += k * hzPerBin * m;
+      total += m;
+      // Half-wave rectified: only rising energy counts towards onsets
+      flux += Math.max(m - this.prevSpectrum[k], 0);
+      this.prevSpectrum[k] = m;
+    }
+    flux /= this.binCount;
+    const centroid = total > 0 ? weighted / total : 0;
+
+    let squares = 0;
+    if (timeDomainData) {
+      for (let i = 0; i < timeDomainData.length; i++) {
+        squares += timeDomainData[i] * timeDomainData[i];
+      }
+    }
+    const rms = timeDomainData ? Math.sqrt(squares / timeDomainData.length) : 0;
+
+    const onset = this.detect(
+      this.fluxHistory,
+      flux,
+      time - this.lastOnset >= this.minOnsetInterval
+    );
+    if (onset) this.lastOnset = time;
+
+    const beatEnergy = this.beatBands.reduce((acc, b) => acc + (bands[b] || 0), 0);
+    const beatFlux = Math.max(beatEnergy - this.prevBeatEnergy, 0);
+    this.prevBeatEnergy = beatEnergy;
+    const beat = this.detect(
+      this.beatHistory,
+      beatFlux,
+      time - this.lastBeat >= this.minOnsetInterval
+    );
+    if (beat) {
+      this.lastBeat = time;
+      this.updateBpm(time);
+    }
+
+    return { bands, centroid, flux, rms, onset, beat, bpm: this.bpm };
+  }
+
+  // Peak-pick `value` against mean + threshold * stddev of recent values
+  detect(history, value, allowed) {
+    let hit = false;
+    if (history.length >= this.historySize / 2 && allowed) {
+      const mean = history.reduce((a, b) => a + b, 0) / history.length;
+      const variance =
+        history.reduce((a, b) => a + (b - mean) * (b - mean), 0) /
+        history.length;
+      hit = value > mean + this.onsetThreshold * Math.sqrt(variance) && value > 0;
+    }
+
+    history.push(value);
+    if (history.length > this.historySize) history.shift();
+    return hit;
+  }
+
+  updateBpm(time) {
+    this.beatTimes.push(time);
+    if (this.beatTimes.length > 16) this.beatTimes.shift();
+    if (this.beatTimes.length < 4) return;
+
+    const intervals = [];
+    for (let i = 1; i < this.beatTimes.length; i++) {
+      intervals.push(this.beatTimes[i] - this.beatTimes[i - 1]);
+    }
+    intervals.sort((a, b) => a - b);
+    const median = intervals[Math.floor(intervals.length / 2)];
+    if (median <= 0) return;
+
+    // Fold into a musically plausible range
+    let bpm = 60 / median;
+    while (bpm < 70) bpm *= 2;
+    while (bpm > 180) bpm /= 2;
+    this.bpm = bpm;
+  }
+}
@@ -1,5 +1,34 @@
-export class AudioManager {
-  constructor() {
+import { OfflineAnalyser } from "./OfflineAnalyser.js";
+import { AudioFeatures, DEFAULT_BANDS } from "./AudioFeatures.js";
+import { EventEmitter } from "./EventEmitter.js";
+import { Logger } from "./Logger.js";
+
+// Microphone constraints used unless overridden per startMicrophone() call:
+// raw signal, no browser processing, for the most responsive visuals.
+export const DEFAULT_MIC_CONSTRAINTS = {
+  echoCancellation: false, // Disable echo cancellation
+  noiseSuppression: false, // Disable noise suppression
+  autoGainControl: false, // Disable auto gain
+  sampleRate: 44100, // Set specific sample rate
+  channelCount: 1, // Use mono audio
+  latency: 0, // Minimize latency
+};
+
+// Events: "started" ({ source }), "stopped" ({ source }), "error" (error,
+// context), "metrics" (metrics) once per metrics.updateInterval,
+// "devicechange" (devices), "devicelost" ({ label }) and "recovered"
+// ({ label, fallback }) when the microphone is re-acquired after a drop.
+export class AudioManager extends EventEmitter {
+  // `features` is passed to AudioFeatures (band edges, onset threshold, ...).
+  // `logger` replaces the default Logger; `logLevel` sets its level.
+  // `metricsWindows` are the rolling windows (ms) tracked in metrics.windows.
+  constructor({
+    features = {},
+    logger,
+    logLevel = "warn",
+    metricsWindows = [1000, 5000, 30000],
+  } = {}) {
+    super();
     this.initialized = false;
     this.isActive = false;
     this.audioContext = null;
@@ -8,14 +37,29 @@ export class AudioManager {
     this.volumeSmoothing = 0.8; // Smoothing factor for volume
     this.prevVolume = 0; // Previous volume for smoothing
     this.stream = null; // Store the media stream
-    this.metrics = {
-      lastUpdate: 0,
-      updateInterval: 1000, // Log metrics every second
-      peakVolume: 0,
-      averageVolume: 0,
-      sampleCount: 0,
-      volumeSum: 0,
+    this.micOptions = null; // Last startMicrophone() options, reused on recovery
+    this.usingFallback = false; // Recovered onto the default input
+    this.micLost = false; // Track ended and recovery hasn't succeeded yet
+    this.recovery = null; // In-flight recoverMicrophone() promise
+    this.micGeneration = 0; // Bumped by startMicrophone()/stopMicrophone()
+    this.autoRecover = true; // Re-acquire the microphone when its track ends
+    this.source = null; // Active input: "microphone" | "buffer"
+    this.buffer = null; // Decoded AudioBuffer for file playback
+    this.bufferSource = null; // AudioBufferSourceNode (one-shot, recreated on play/seek)
+    this.playback = {
+      isPlaying: false,
+      loop: false,
+      startedAt: 0, // audioContext.currentTime when playback last started
+      offset: 0, // Position in the buffer (seconds) when playback last started
     };
+    this.offline = null; // Precomputed per-frame analysis, see analyseOffline()
+    this.featureOptions = { bands: DEFAULT_BANDS, ...features };
+    this.features = null; // AudioFeatures, created once the sample rate is known
+    this.timeDomainData = null;
+    this.logger = logger || new Logger({ level: logLevel, prefix: "AudioManager" });
+    this.metricsWindows = metricsWindows.slice().sort((a, b) => a - b);
+    this.volumeHistory = []; // { time, volume } samples within the largest window
+    this.resetMetrics();
   }
 
   async initialize() {
@@ -25,7 +69,7 @@ export class AudioManager {
       // Initialize audio context
       const AudioContext = window.AudioContext || window.webkitAudioContext;
       this.audioContext = new AudioContext();
-      console.log("Audio Context created:", {
+      this.logger.debug("Audio Context created:", {
         sampleRate: this.audioContext.sampleRate,
         state: this.audioContext.state,
       });
@@ -36,44 +80,104 @@ export class AudioManager {
       this.analyser.smoothingTimeConstant = 0.8;
       this.analyser.minDecibels = -85;
       this.analyser.maxDecibels = -10;
-      console.log("Analyzer configured:", {
+      this.timeDomainData = new Float32Array(this.analyser.fftSize);
+      this.configureFeatures();
+
+      // Hot-plug: refresh device lists and switch back to a returning device
+      this.handleDeviceChange = this.handleDeviceChange.bind(this);
+      this.handleTrackEnded = this.handleTrackEnded.bind(this);
+      navigator.mediaDevices?.addEventListener(
+        "devicechange",
+        this.handleDeviceChange
+      );
+      this.logger.debug("Analyzer configured:", {
         fftSize: this.analyser.fftSize,
         frequencyBinCount: this.analyser.frequencyBinCount,
         smoothingTimeConstant: this.analyser.smoothingTimeConstant,
       });
 
       this.initialized = true;
-      console.log("Audio Manager initialized successfully");
+      this.logger.info("Audio Manager initialized successfully");
     } catch (error) {
-      console.error("Failed to initialize AudioManager:", error);
+      this.logger.error("Failed to initialize AudioManager:", error);
+      this.emit("error", error, "initialize");
       throw error;
     }
   }
 
-  async startMicrophone() {
+  // List audio inputs. Labels stay empty until microphone permission has
+  // been granted once, so call again after "started".
+  async listInputDevices() {
+    if (!navigator.mediaDevices?.enumerateDevices) return [];
+
+    const devices = await navigator.mediaDevices.enumerateDevices();
+    return devices
+      .filter((device) => device.kind === "audioinput")
+      .map(({ deviceId, label, groupId }) => ({ deviceId, label, groupId }));
+  }
+
+  // Resolve { deviceId } or a case-insensitive partial { label } to an id
+  async resolveDeviceId({ deviceId, label } = {}) {
+    if (deviceId || !label) return deviceId;
+
+    const devices = await this.listInputDevices();
+    const match = devices.find((device) =>
+      device.label.toLowerCase().includes(label.toLowerCase())
+    );
+    if (!match) {
+      throw new Error(`No audio input matching "${label}"`);
+    }
+    return match.deviceId;
+  }
+
+  // Options: `deviceId` or `label` to pick an input, and `constraints` to
+  // override DEFAULT_MIC_CONSTRAINTS (e.g. { echoCancellation: true }).
+  async startMicrophone(options = {}) {
+    this.micGeneration++;
+    this.micOptions = options;
+    this.usingFallback = false;
+    await this.openMicrophone(options);
+  }
+
+  // Resolves false, leaving the microphone alone, if stopMicrophone() or
+  // another startMicrophone() ran while this one was waiting (e.g. on the
+  // permission prompt).
+  async openMicrophone({ deviceId, label, constraints = {} } = {}) {
+    const generation = this.micGeneration;
+    const superseded = () => generation !== this.micGeneration;
+    let stream = null;
+
     if (!this.initialized) {
       await this.initialize();
     }
 
     try {
-      // First, stop any existing microphone
-      await this.stopMicrophone();
+      if (superseded()) return false;
+
+      // First, stop any existing microphone or file playback
+      await this.closeMicrophone();
+      await this.stopBuffer();
+
+      const id = await this.resolveDeviceId({ deviceId, label });
+      if (superseded()) return false;
 
       // Request microphone access with more specific constraints
-      this.stream = await navigator.mediaDevices.getUserMedia({
+      stream = await navigator.mediaDevices.getUserMedia({
         audio: {
-          echoCancellation: false, // Disable echo cancellation
-          noiseSuppression: false, // Disable noise suppression
-          autoGainControl: false, // Disable auto gain
-          sampleRate: 44100, // Set specific sample rate
-          channelCount: 1, // Use mono audio
-          latency: 0, // Minimize latency
+          ...DEFAULT_MIC_CONSTRAINTS,
+          ...constraints,
+          ...(id ? { deviceId: { exact: id } } : {}),
         },
       });
+      if (superseded()) {
+        stream.getTracks().forEach((track) => track.stop());
+        return false;
+      }
+      this.stream = stream;
 
       // Log stream details
       const audioTrack = this.stream.getAudioTracks()[0];
-      console.log("Microphone stream obtained:", {
+      this.logger.debug("Microphone stream obtained:", {
         label: audioTrack.label,
         enabled: audioTrack.enabled,
         muted: audioTrack.muted,
@@ -81,32 +185,119 @@ export class AudioManager {
         settings: audioTrack.getSettings(),
       });
 
+      // "ended" only fires when the device goes away, not on track.stop()
+      audioTrack.addEventListener("ended", this.handleTrackEnded);
+
       // Create and connect the audio nodes
       this.microphone = this.audioContext.createMediaStreamSource(this.stream);
       this.microphone.connect(this.analyser);
+      this.source = "microphone";
       this.isActive = true;
 
-      // Reset metrics
-      this.metrics = {
-        lastUpdate: Date.now(),
-        updateInterval: 1000,
-        peakVolume: 0,
-        averageVolume: 0,
-        sampleCount: 0,
-        volumeSum: 0,
-      };
+      this.resetMetrics();
 
-      console.log("Microphone started successfully");
+      this.logger.info("Microphone started successfully");
+      this.emit("started", {
+        source: "microphone",
+        label: audioTrack.label,
+        deviceId: audioTrack.getSettings().deviceId,
+      });
+      return true;
     } catch (error) {
-      console.error("Failed to start microphone:", error);
-      // Try to clean up any partial initialization
-      await this.stopMicrophone();
+      this.logger.error("Failed to start microphone:", error);
+      this.emit("error", error, "startMicrophone");
+      // Try to clean up any partial initialization. closeMicrophone() skips
+      // a stream that never became active, so stop its tracks here.
+      if (stream && !this.isActive) {
+        stream.getTracks().forEach((track) => track.stop());
+        if (this.stream === stream) this.stream = null;
+      }
+      await this.closeMicrophone();
       throw error;
     }
   }
 
+  async handleTrackEnded(event) {
+    const generation = this.micGeneration;
+    const label = event.target.label;
+    this.logger.warn("Microphone track ended:", label);
+    this.emit("devicelost", { label });
+
+    await this.closeMicrophone();
+    if (generation !== this.micGeneration) return; // Stopped or restarted
+    if (this.autoRecover && this.micOptions) {
+      this.micLost = true;
+      await this.recoverMicrophone();
+    }
+  }
+
+  // Retry the requested device, then fall back to the default input. The
+  // requested device is picked up again by handleDeviceChange() if it returns.
+  // The track ending and a device change can both ask at once; they share one
+  // recovery, so only one stream is opened. Stopping or restarting the
+  // microphone meanwhile cancels the recovery.
+  recoverMicrophone() {
+    if (!this.recovery) {
+      this.recovery = this.attemptRecovery().finally(() => {
+        this.recovery = null;
+      });
+    }
+    return this.recovery;
+  }
+
+  async attemptRecovery() {
+    const generation = this.micGeneration;
+    const attempts = [{ options: this.micOptions, fallback: false }];
+    if (this.micOptions.deviceId || this.micOptions.label) {
+      attempts.push({
+        options: { constraints: this.micOptions.constraints },
+        fallback: true,
+      });
+    }
+
+    for (const { options, fallback } of attempts) {
+      if (generation !== this.micGeneration) return false;
+      try {
+        if (!(await this.openMicrophone(options))) return false;
+        this.usingFallback = fallback;
+        this.micLost = false;
+        this.emit("recovered", { label: this.stream.getAudioTracks()[0].label, fallback });
+        return true;
+      } catch (error) {
+        this.logger.warn("Microphone recovery attempt failed:", error);
+      }
+    }
+    return false;
+  }
+
+  async handleDeviceChange() {
+    const generation = this.micGeneration;
+    const devices = await this.listInputDevices();
+    this.emit("devicechange", devices);
+
+    if (!this.autoRecover || !this.micOptions) return;
+    if (this.usingFallback || this.micLost) {
+      try {
+        const id = await this.resolveDeviceId(this.micOptions);
+        if (id && !devices.some((device) => device.deviceId === id)) return;
+      } catch (error) {
+        return; // Requested device still missing
+      }
+      if (generation !== this.micGeneration) return; // Stopped or restarted
+      await this.recoverMicrophone();
+    }
+  }
+
+  // Stop the microphone and forget it, so it isn't recovered on hot-plug
   async stopMicrophone() {
-    if (!this.isActive) return;
+    this.micGeneration++;
+    this.micOptions = null;
+    this.micLost = false;
+    await this.closeMicrophone();
+  }
+
+  async closeMicrophone() {
+    if (!this.isActive || this.source !== "microphone") return;
 
     try {
       // Stop all tracks in the stream
@@ -122,16 +313,241 @@ export class AudioManager {
       }
 
       this.isActive = false;
-      console.log("Microphone stopped successfully");
+      this.source = null;
+      this.logger.info("Microphone stopped successfully");
+      this.emit("stopped", { source: "microphone" });
+    } catch (error) {
+      this.logger.error("Error stopping microphone:", error);
+      this.emit("error", error, "stopMicrophone");
+      throw error;
+    }
+  }
+
+  // Decode an audio file into this.buffer. Accepts a URL, a File/Blob or an
+  // ArrayBuffer. Does not start playback.
+  async loadFile(input) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    try {
+      let data = input;
+      if (typeof input === "string") {
+        const response = await fetch(input);
+        if (!response.ok) {
+          throw new Error(`Failed to fetch ${input}: ${response.status}`);
+        }
+        data = await response.arrayBuffer();
+      } else if (typeof Blob !== "undefined" && input instanceof Blob) {
+        data = await input.arrayBuffer();
+      }
+
+      // Callback form keeps older Safari (webkitAudioContext) working
+      this.buffer = await new Promise((resolve, reject) => {
+        this.audioContext.decodeAudioData(data, resolve, reject);
+      });
+      this.playback.offset = 0;
+      this.clearOffline(); // Analysis of the previous file
+
+      this.logger.info("Audio file decoded:", {
+        duration: this.buffer.duration,
+        sampleRate: this.buffer.sampleRate,
+        numberOfChannels: this.buffer.numberOfChannels,
+      });
+
+      return this.buffer;
     } catch (error) {
-      console.error("Error stopping microphone:", error);
+      this.logger.error("Failed to load audio file:", error);
+      this.emit("error", error, "loadFile");
       throw error;
     }
   }
 
-  getAudioData() {
+  // Play a decoded file through the analyser. If `input` is given it is loaded
+  // first, otherwise the previously loaded buffer is used.
+  async startBuffer(input, { loop = false, offset = 0 } = {}) {
+    if (input) {
+      await this.loadFile(input);
+    }
+    if (!this.buffer) {
+      throw new Error("No audio buffer loaded");
+    }
+
+    await this.stop();
+
+    this.source = "buffer";
+    this.isActive = true;
+    this.playback.loop = loop;
+    this.playback.offset = offset;
+    this.resetMetrics();
+
+    await this.play();
+    this.emit("started", { source: "buffer", duration: this.buffer.duration });
+  }
+
+  async play() {
+    if (this.source !== "buffer" || this.playback.isPlaying) return;
+
+    // Browsers keep the context suspended until a user gesture
+    if (this.audioContext.state === "suspended") {
+      await this.audioContext.resume();
+    }
+
+    const node = this.audioContext.createBufferSource();
+    node.buffer = this.buffer;
+    node.loop = this.playback.loop;
+    node.connect(this.analyser);
+    node.connect(this.audioContext.destination); // Files are audible, the mic is not
+    node.onended = () => {
+      // Fired for stop() calls too; only handle the buffer running out
+      if (this.bufferSource !== node) return;
+      this.bufferSource = null;
+      this.playback.isPlaying = false;
+      this.playback.offset = 0;
+    };
+    node.start(0, this.playback.offset);
+
+    this.bufferSource = node;
+    this.playback.startedAt = this.audioContext.currentTime;
+    this.playback.isPlaying = true;
+  }
+
+  pause() {
+    if (!this.playback.isPlaying) return;
+
+    this.playback.offset = this.getCurrentTime();
+    this.playback.isPlaying = false;
+    this.disconnectBufferSource();
+  }
+
+  async seek(time) {
+    if (!this.buffer) return;
+
+    const wasPlaying = this.playback.isPlaying;
+    if (wasPlaying) this.pause();
+    this.playback.offset = Math.min(Math.max(time, 0), this.buffer.duration);
+    if (wasPlaying) await this.play();
+  }
+
+  // Current playback position in seconds
+  getCurrentTime() {
+    if (!this.buffer) return 0;
+    if (!this.playback.isPlaying) return this.playback.offset;
+
+    const elapsed =
+      this.playback.offset +
+      (this.audioContext.currentTime - this.playback.startedAt);
+    return this.playback.loop
+      ? elapsed % this.buffer.duration
+      : Math.min(elapsed, this.buffer.duration);
+  }
+
+  getDuration() {
+    return this.buffer ? this.buffer.duration : 0;
+  }
+
+  // Also drops the offline analysis, which only describes this playback
+  async stopBuffer() {
+    this.clearOffline();
+    if (this.source !== "buffer") return;
+
+    this.disconnectBufferSource();
+    this.playback.isPlaying = false;
+    this.playback.offset = 0;
+    this.isActive = false;
+    this.source = null;
+    this.logger.info("Audio file playback stopped");
+    this.emit("stopped", { source: "buffer" });
+  }
+
+  // Stop whichever source is active
+  async stop() {
+    await this.stopMicrophone();
+    await this.stopBuffer();
+  }
+
+  disconnectBufferSource() {
+    if (!this.bufferSource) return;
+
+    const node = this.bufferSource;
+    this.bufferSource = null;
+    node.stop();
+    node.disconnect();
+  }
+
+  // Precompute volume and spectrum for every frame of the loaded buffer at the
+  // given fps. While exporting, getAudioData({ frame, time, exporting }) reads
+  // from the table instead of the live analyser, so exported frames match the
+  // track. Cleared when another file is loaded or the source stops or changes.
+  analyseOffline({ fps = 60, duration } = {}) {
+    if (!this.buffer) {
+      throw new Error("No audio buffer loaded");
+    }
+
+    const analyser = new OfflineAnalyser({
+      fftSize: this.analyser.fftSize,
+      smoothingTimeConstant: this.analyser.smoothingTimeConstant,
+      minDecibels: this.analyser.minDecibels,
+      maxDecibels: this.analyser.maxDecibels,
+      volumeSmoothing: this.volumeSmoothing,
+    });
+    // Separate instance so offline analysis doesn't disturb live detection
+    const features = new AudioFeatures({
+      sampleRate: this.buffer.sampleRate,
+      fftSize: this.analyser.fftSize,
+      ...this.featureOptions,
+    });
+    this.offline = analyser.analyse(this.buffer, {
+      fps,
+      duration: duration ?? this.buffer.duration,
+      features,
+    });
+
+    this.logger.info("Offline analysis complete:", {
+      fps: this.offline.fps,
+      duration: this.offline.duration,
+      frameCount: this.offline.frameCount,
+    });
+
+    return this.offline;
+  }
+
+  clearOffline() {
+    this.offline = null;
+  }
+
+  getOfflineFrame({ frame, time } = {}) {
+    const { fps, frameCount, frames } = this.offline;
+    const index = frame ?? Math.floor((time || 0) * fps);
+    const data = frames[Math.min(Math.max(index, 0), frameCount - 1)];
+
+    return {
+      volume: data.volume,
+      frequencyData: data.frequencyData,
+      metrics: this.metrics,
+      ...data.features,
+    };
+  }
+
+  // Pass the canvas-sketch `frame`, `time` and `exporting` props: exports
+  // read the offline analysis by frame, if there is one. Live playback always
+  // uses the analyser, since `frame` counts from page load rather than from
+  // the start of the track.
+  getAudioData({ frame, time, exporting = false } = {}) {
+    if (
+      this.offline &&
+      exporting &&
+      (frame !== undefined || time !== undefined)
+    ) {
+      return this.getOfflineFrame({ frame, time });
+    }
+
     if (!this.isActive || !this.analyser)
-      return { volume: 0, frequencyData: null };
+      return {
+        volume: 0,
+        frequencyData: null,
+        ...AudioFeatures.empty(this.featureOptions.bands),
+      };
 
     const frequencyData = new Uint8Array(this.analyser.frequencyBinCount);
     this.analyser.getByteFrequencyData(frequencyData);
@@ -148,46 +564,101 @@ export class AudioManager {
     // Update metrics
     this.updateMetrics(this.prevVolume);
 
+    // Band, spectral, RMS and beat features
+    this.analyser.getFloatTimeDomainData(this.timeDomainData);
+    const features = this.features.compute(
+      frequencyData,
+      this.timeDomainData,
+      this.audioContext.currentTime
+    );
+
     return {
       volume: this.prevVolume,
       frequencyData: frequencyData,
       metrics: this.metrics,
+      ...features,
+    };
+  }
+
+  // Update feature options (e.g. band edges) and restart detection state
+  configureFeatures(options = {}) {
+    this.featureOptions = { ...this.featureOptions, ...options };
+    if (!this.audioContext) return; // Applied in initialize()
+
+    this.features = new AudioFeatures({
+      sampleRate: this.audioContext.sampleRate,
+      fftSize: this.analyser.fftSize,
+      ...this.featureOptions,
+    });
+  }
+
+  resetMetrics() {
+    this.volumeHistory = [];
+    this.metrics = {
+      lastUpdate: Date.now(),
+      updateInterval: 1000, // Emit "metrics" every second
+      currentVolume: 0,
+      peakVolume: 0, // Over the shortest window
+      averageVolume: 0, // Over the shortest window
+      sampleCount: 0,
+      windows: {}, // { [ms]: { peak, average, samples } }
     };
   }
 
   updateMetrics(volume) {
     const now = Date.now();
 
-    // Update running metrics
-    this.metrics.peakVolume = Math.max(this.metrics.peakVolume, volume);
-    this.metrics.volumeSum += volume;
+    // Keep just enough history for the largest window
+    this.volumeHistory.push({ time: now, volume });
+    const horizon = now - this.metricsWindows[this.metricsWindows.length - 1];
+    while (this.volumeHistory.length && this.volumeHistory[0].time < horizon) {
+      this.volumeHistory.shift();
+    }
+
+    this.metrics.currentVolume = volume;
     this.metrics.sampleCount++;
 
-    // Log metrics every second
     if (now - this.metrics.lastUpdate >= this.metrics.updateInterval) {
-      this.metrics.averageVolume =
-        this.metrics.volumeSum / this.metrics.sampleCount;
+      this.metricsWindows.forEach((ms) => {
+        let peak = 0;
+        let sum = 0;
+        let samples = 0;
+        for (let i = this.volumeHistory.length - 1; i >= 0; i--) {
+          const sample = this.volumeHistory[i];
+          if (sample.time < now - ms) break;
+          peak = Math.max(peak, sample.volume);
+          sum += sample.volume;
+          samples++;
+        }
+        this.metrics.windows[ms] = {
+          peak,
+          average: samples ? sum / samples : 0,
+          samples,
+        };
+      });
 
-      console.log("Audio Metrics:", {
-        timestamp: new Date().toISOString(),
+      const shortest = this.metrics.windows[this.metricsWindows[0]];
+      this.metrics.peakVolume = shortest.peak;
+      this.metrics.averageVolume = shortest.average;
+      this.metrics.lastUpdate = now;
+
+      this.logger.debug("Audio Metrics:", {
         currentVolume: volume.toFixed(3),
         peakVolume: this.metrics.peakVolume.toFixed(3),
         averageVolume: this.metrics.averageVolume.toFixed(3),
-        samples: this.metrics.sampleCount,
         audioContextState: this.audioContext?.state,
         isActive: this.isActive,
       });
-
-      // Reset metrics
-      this.metrics.lastUpdate = now;
-      this.metrics.peakVolume = volume;
-      this.metrics.volumeSum = volume;
-      this.metrics.sampleCount = 1;
+      this.emit("metrics", this.metrics);
     }
   }
 
   cleanup() {
-    this.stopMicrophone();
+    this.stop();
+    navigator.mediaDevices?.removeEventListener(
+      "devicechange",
+      this.handleDeviceChange
+    );
     if (this.audioContext) {
       this.audioContext.close();
       this.audioContext = null;
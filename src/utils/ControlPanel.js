@@ -0,0 +1,304 @@
+import { Pane } from "tweakpane";
+import { pickFile } from "./FileIO.js";
+import { CURVES } from "./Modulation.js";
+import { WebMidiSource } from "./Midi.js";
+
+// Turn { label: value } or [value, ...] into Tweakpane's list options
+const toListOptions = (options) =>
+  Array.isArray(options)
+    ? options.map((value) => ({ text: String(value), value }))
+    : Object.entries(options).map(([text, value]) => ({ text, value }));
+
+// Builds a Tweakpane (v4) pane from a declarative param schema:
+//
+//   new ControlPanel(params, {
+//     cols: { folder: "Grid", min: 2, max: 50, step: 1 },
+//     lineCap: { folder: "Grid", options: ["butt", "round", "square"] },
+//     volume: { folder: "Audio", type: "monitor" },
+//   });
+//
+// Each entry binds params[key]. Supported fields: type ("monitor" for a
+// read-only view, "graph" for a monitor graph, otherwise inferred from the
+// value), min, max, step, label, folder ("A/B" nests), options, expanded,
+// and any other Tweakpane binding option, passed through as-is.
+export class ControlPanel {
+  constructor(params, schema = {}, { title, container, expanded = true } = {}) {
+    this.params = params;
+    this.pane = new Pane({ title, container, expanded });
+    this.folders = {};
+    this.bindings = {};
+    this.specs = {}; // Schema entry per bound key
+    this.add(schema);
+  }
+
+  // Folder by path, created on first use; "" is the pane itself
+  folder(path = "", { expanded = true } = {}) {
+    if (!path) return this.pane;
+    if (this.folders[path]) return this.folders[path];
+
+    const parts = path.split("/");
+    const parent = this.folder(parts.slice(0, -1).join("/"));
+    this.folders[path] = parent.addFolder({ title: parts[parts.length - 1], expanded });
+    return this.folders[path];
+  }
+
+  add(schema) {
+    Object.entries(schema).forEach(([key, spec]) => this.bind(key, spec));
+    return this;
+  }
+
+  bind(key, spec = {}) {
+    if (!(key in this.params)) {
+      throw new Error(`Unknown param "${key}"`);
+    }
+
+    const { type, folder, options, expanded, ...rest } = spec;
+    const opts = { ...rest };
+    if (options) opts.options = toListOptions(options);
+    if (type === "monitor" || type === "graph") {
+      opts.readonly = true;
+      if (type === "graph") opts.view = "graph";
+    }
+
+    const binding = this.folder(folder, { expanded }).addBinding(this.params, key, opts);
+    this.bindings[key] = binding;
+    this.specs[key] = spec;
+    return binding;
+  }
+
+  // Listen to changes of one param, or all params when `key` is omitted
+  onChange(key, handler) {
+    if (typeof key === "function") {
+      this.pane.on("change", key);
+    } else {
+      this.bindings[key].on("change", handler);
+    }
+    return this;
+  }
+
+  addButton(folder, title, onClick) {
+    const button = this.folder(folder).addButton({ title });
+    button.on("click", async () => {
+      try {
+        await onClick();
+      } catch (error) {
+        console.error(`"${title}" failed:`, error);
+      }
+    });
+    return button;
+  }
+
+  // Replace the options of a list binding in place
+  setOptions(key, options) {
+    this.bindings[key].options = toListOptions(options);
+  }
+
+  refresh() {
+    this.pane.refresh();
+  }
+
+  dispose() {
+    this.pane.dispose();
+  }
+
+  // The standard audio controls every audio-reactive sketch shares: input
+  // device dropdown (bound to params[deviceKey]), Start/Stop Microphone and
+  // Load Audio File, which also precomputes offline analysis at `fps`.
+  addAudioControls(
+    audioManager,
+    { folder = "Audio", deviceKey = "audioDevice", fps = 24 } = {}
+  ) {
+    if (!(deviceKey in this.params)) this.params[deviceKey] = "";
+
+    const microphoneOptions = () => ({
+      deviceId: this.params[deviceKey] || undefined,
+    });
+
+    this.bind(deviceKey, {
+      folder,
+      label: "Input Device",
+      options: { Default: "" },
+    }).on("change", async () => {
+      if (audioManager.source !== "microphone") return;
+      try {
+        await audioManager.startMicrophone(microphoneOptions());
+      } catch (error) {
+        console.error("Failed to switch input device:", error);
+      }
+    });
+
+    // Rebuild the dropdown when devices come and go
+    const updateDevices = (devices) => {
+      const options = { Default: "" };
+      devices.forEach((device, i) => {
+        options[device.label || `Input ${i + 1}`] = device.deviceId;
+      });
+      if (!Object.values(options).includes(this.params[deviceKey])) {
+        this.params[deviceKey] = "";
+      }
+      this.setOptions(deviceKey, options);
+      this.refresh();
+    };
+    const refreshDevices = async () =>
+      updateDevices(await audioManager.listInputDevices());
+    refreshDevices();
+    audioManager.on("devicechange", updateDevices);
+    audioManager.on("started", refreshDevices); // Labels appear once permission is granted
+
+    this.addButton(folder, "Start Microphone", () =>
+      audioManager.startMicrophone(microphoneOptions())
+    );
+    this.addButton(folder, "Stop Microphone", () => audioManager.stopMicrophone());
+    this.addButton(folder, "Load Audio File", async () => {
+      const file = await pickFile("audio/*");
+      if (!file) return;
+      await audioManager.startBuffer(file);
+      // Precompute per-frame data so exports line up with the track
+      audioManager.analyseOffline({ fps });
+    });
+
+    return this;
+  }
+
+  // "Presets" folder for a PresetManager: name field, saved-preset dropdown,
+  // save/load/delete, crossfade and JSON export/import.
+  addPresets(presets, { folder = "Presets" } = {}) {
+    const state = { name: "", selected: "", fadeTime: 2 };
+    const target = this.folder(folder, { expanded: false });
+
+    target.addBinding(state, "name", { label: "Name" });
+    const list = target.addBinding(state, "selected", {
+      label: "Preset",
+      options: [{ text: "(none)", value: "" }],
+    });
+    const updateList = () => {
+      if (!(state.selected in presets.presets)) state.selected = "";
+      list.options = toListOptions({
+        "(none)": "",
+        ...Object.fromEntries(presets.list().map((name) => [name, name])),
+      });
+      list.refresh();
+    };
+    updateList();
+    presets.on("change", updateList);
+
+    this.addButton(folder, "Save", () => {
+      const name = state.name || state.selected;
+      presets.save(name);
+      state.selected = name;
+      list.refresh();
+    });
+    this.addButton(folder, "Load", () => state.selected && presets.load(state.selected));
+    this.addButton(folder, "Delete", () => state.selected && presets.remove(state.selected));
+    target.addBinding(state, "fadeTime", { label: "Fade (s)", min: 0, max: 30, step: 0.1 });
+    this.addButton(
+      folder,
+      "Crossfade",
+      () => state.selected && presets.crossfade(state.selected, state.fadeTime)
+    );
+    this.addButton(folder, "Export JSON", () => presets.exportFile());
+    this.addButton(folder, "Import JSON", () => presets.importFile());
+
+    return this;
+  }
+
+  // Route editor for a ModulationMatrix: one sub-folder per route with
+  // source, target, depth, curve, output range, attack/release and removal.
+  addModulation(matrix, { folder = "Modulation" } = {}) {
+    const target = this.folder(folder, { expanded: false });
+    let routeFolders = [];
+
+    this.addButton(folder, "Add Route", () => matrix.addRoute());
+
+    const build = () => {
+      routeFolders.forEach((f) => f.dispose());
+      routeFolders = matrix.routes.map((route) => {
+        const title = () => `${route.source} → ${route.target}`;
+        const f = target.addFolder({ title: title() });
+
+        f.addBinding(route, "enabled");
+        f.addBinding(route, "source", { options: toListOptions(matrix.sourceIds()) });
+        f.addBinding(route, "target", { options: toListOptions(matrix.targetIds()) });
+        f.addBinding(route, "depth");
+        f.addBinding(route, "curve", { options: toListOptions(Object.keys(CURVES)) });
+        f.addBinding(route, "min", { min: -1, max: 1 });
+        f.addBinding(route, "max", { min: -1, max: 1 });
+        f.addBinding(route, "attack", { min: 0, max: 5, step: 0.01 });
+        f.addBinding(route, "release", { min: 0, max: 5, step: 0.01 });
+        f.addButton({ title: "Remove" }).on("click", () => matrix.removeRoute(route));
+        f.on("change", () => (f.title = title()));
+        return f;
+      });
+    };
+    build();
+    matrix.on("routes", build);
+
+    return this;
+  }
+
+  // MIDI folder for a MidiMapper. With "Learn" on, click any control in the
+  // pane and then move a knob or hit a pad to map it.
+  addMidi(midi, { folder = "MIDI", createSource = () => new WebMidiSource() } = {}) {
+    const state = { learn: false, status: "MIDI off", mappings: "" };
+    const target = this.folder(folder, { expanded: false });
+
+    const describe = () => {
+      state.mappings = midi.mappings
+        .map((m) => `${m.type} ${m.channel}/${m.number} → ${m.target}`)
+        .join("\n");
+    };
+    describe();
+    midi.on("change", describe);
+
+    this.addButton(folder, "Enable MIDI", async () => {
+      await midi.connect(createSource());
+      const inputs = midi.source.listInputs();
+      state.status = inputs.length
+        ? `Listening: ${inputs.map((i) => i.name).join(", ")}`
+        : "No MIDI inputs found";
+    });
+    target.addBinding(state, "status", { readonly: true, label: "Status" });
+    target.addBinding(state, "learn", { label: "Learn" }).on("change", () => {
+      if (!state.learn) midi.cancelLearn();
+      state.status = state.learn ? "Click a control to map" : "Learn off";
+    });
+
+    // Clicking a bound control while learning picks it as the target. Only
+    // sliders and checkboxes: lists and monitors can't follow a knob.
+    const learnable = (key) => {
+      const { type, options } = this.specs[key];
+      return (
+        midi.canMap(key) && !options && type !== "monitor" && type !== "graph"
+      );
+    };
+    Object.entries(this.bindings).forEach(([key, binding]) => {
+      if (!learnable(key)) return;
+      binding.element.addEventListener(
+        "mousedown",
+        () => {
+          if (!state.learn) return;
+          midi.learn(key);
+          state.status = `Move a control for "${key}"`;
+        },
+        true
+      );
+    });
+    midi.on("message", () => this.refresh()); // Show knob moves on the sliders
+    midi.on("mapped", (mapping) => {
+      state.status = `Mapped ${mapping.type} ${mapping.number} → ${mapping.target}`;
+    });
+
+    target.addBinding(state, "mappings", {
+      readonly: true,
+      multiline: true,
+      rows: 4,
+      label: "Mappings",
+    });
+    this.addButton(folder, "Clear Mappings", () => midi.fromJSON([]));
+
+    return this;
+  }
+}
+
+export const createControlPanel = (params, schema, options) =>
+  new ControlPanel(params, schema, options);
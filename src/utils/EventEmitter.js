@@ -0,0 +1,41 @@
+// Minimal browser-friendly event emitter. Listener errors are caught and
+// reported so one bad subscriber can't break the render loop.
+export class EventEmitter {
+  constructor() {
+    this.listeners = {};
+  }
+
+  // Returns a function that removes the listener
+  on(event, listener) {
+    (this.listeners[event] = this.listeners[event] || []).push(listener);
+    return () => this.off(event, listener);
+  }
+
+  once(event, listener) {
+    const off = this.on(event, (...args) => {
+      off();
+      listener(...args);
+    });
+    return off;
+  }
+
+  off(event, listener) {
+    const list = this.listeners[event];
+    if (!list) return;
+    this.listeners[event] = list.filter((l) => l !== listener);
+  }
+
+  emit(event, ...args) {
+    const list = this.listeners[event];
+    if (!list) return false;
+
+    list.slice().forEach((listener) => {
+      try {
+        listener(...args);
+      } catch (error) {
+        console.error(`Error in "${event}" listener:`, error);
+      }
+    });
+    return list.length > 0;
+  }
+}
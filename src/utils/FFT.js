@@ -0,0 +1,63 @@
+// Radix-2 in-place FFT. Twiddle factors and bit-reversal indices are
+// precomputed once per size so repeated transforms stay allocation-free.
+export class FFT {
+  constructor(size) {
+    if (size < 2 || (size & (size - 1)) !== 0) {
+      throw new Error(`FFT size must be a power of two, got ${size}`);
+    }
+
+    this.size = size;
+    this.cos = new Float64Array(size / 2);
+    this.sin = new Float64Array(size / 2);
+    for (let i = 0; i < size / 2; i++) {
+      this.cos[i] = Math.cos((-2 * Math.PI * i) / size);
+      this.sin[i] = Math.sin((-2 * Math.PI * i) / size);
+    }
+
+    this.reverse = new Uint32Array(size);
+    const bits = Math.log2(size);
+    for (let i = 0; i < size; i++) {
+      let r = 0;
+      for (let b = 0; b < bits; b++) {
+        r = (r << 1) | ((i >> b) & 1);
+      }
+      this.reverse[i] = r;
+    }
+  }
+
+  // Transform `real`/`imag` (length === size) in place
+  forward(real, imag) {
+    const n = this.size;
+
+    for (let i = 0; i < n; i++) {
+      const j = this.reverse[i];
+      if (j > i) {
+        let t = real[i];
+        real[i] = real[j];
+        real[j] = t;
+        t = imag[i];
+        imag[i] = imag[j];
+        imag[j] = t;
+      }
+    }
+
+    for (let len = 2; len <= n; len <<= 1) {
+      const half = len >> 1;
+      const step = n / len;
+      for (let i = 0; i < n; i += len) {
+        for (let j = 0; j < half; j++) {
+          const wr = this.cos[j * step];
+          const wi = this.sin[j * step];
+          const a = i + j;
+          const b = a + half;
+          const tr = real[b] * wr - imag[b] * wi;
+          const ti = real[b] * wi + imag[b] * wr;
+          real[b] = real[a] - tr;
+          imag[b] = imag[a] - ti;
+          real[a] += tr;
+          imag[a] += ti;
+        }
+      }
+    }
+  }
+}
@@ -0,0 +1,22 @@
+// Open a file dialog and resolve with the chosen file, or undefined when the
+// dialog is cancelled ("cancel" fires instead of "change" then)
+export const pickFile = (accept) =>
+  new Promise((resolve) => {
+    const input = document.createElement("input");
+    input.type = "file";
+    input.accept = accept;
+    input.onchange = () => resolve(input.files[0]);
+    input.oncancel = () => resolve(undefined);
+    input.click();
+  });
+
+// Save a string or Blob through a temporary download link
+export const downloadFile = (data, filename, type = "application/json") => {
+  const blob = data instanceof Blob ? data : new Blob([data], { type });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
@@ -0,0 +1,328 @@
+import { random } from "./Random.js";
+
+// Glyphs from dark to light. An array entry is a set to pick from at random.
+export const GLYPH_RAMPS = {
+  classic: ["", ".", "-", "+", ["_", "=", " ", "/"]],
+  ascii: " .:-=+*#%@".split(""),
+  blocks: " ░▒▓█".split(""),
+  dots: " ·•●".split(""),
+};
+
+export const DITHER_MODES = ["none", "ordered", "floyd-steinberg"];
+
+// "mono" draws every glyph in the foreground colour, "source" in the colour
+// sampled from its cell, "palette" in `gradient` at its cell's brightness
+export const COLOUR_MODES = ["mono", "source", "palette"];
+
+const BAYER_4X4 = [0, 8, 2, 10, 12, 4, 14, 6, 3, 11, 1, 9, 15, 7, 13, 5];
+
+// Intrinsic size of an image, video or canvas (0 until it has loaded)
+const sourceSize = (source) => [
+  source.videoWidth || source.naturalWidth || source.width || 0,
+  source.videoHeight || source.naturalHeight || source.height || 0,
+];
+
+// Split `words` into `count` lines of roughly even length
+const wrapWords = (words, count) => {
+  const target = words.join(" ").length / count;
+  const lines = [];
+  let line = "";
+  words.forEach((word) => {
+    const next = line ? `${line} ${word}` : word;
+    if (line && next.length > target && lines.length < count - 1) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = next;
+    }
+  });
+  lines.push(line);
+  return lines;
+};
+
+// Draws a source as a grid of glyphs, one per `cell` pixels: the source is
+// sampled down to one pixel per cell and each cell's brightness picks a
+// glyph from the ramp. Sources are images, videos (files or a webcam
+// stream), other canvases, or a string, drawn as large centred type.
+//
+//   const glyphs = new GlyphRenderer({ ramp: "blocks", cell: 16 });
+//   glyphs.setSource(await loadImage(file));
+//   glyphs.render(context, width, height);
+//
+// Glyph picks and accents draw from the shared `random`, so reset it before
+// rendering for the same glyphs on every frame.
+export class GlyphRenderer {
+  constructor(options = {}) {
+    this.options = {
+      cell: 20, // Size of one glyph cell, in pixels
+      ramp: "classic", // Key of GLYPH_RAMPS, or an array of glyphs
+      fontFamily: "serif",
+      fontScale: 2, // Glyph size relative to the cell
+      accentChance: 0.1, // Share of glyphs drawn at accentScale instead
+      accentScale: 6,
+      colour: "mono",
+      foreground: "white",
+      background: "black",
+      gradient: null, // (0-1) => CSS colour, e.g. a Palette's at()
+      dither: "none",
+      invert: false,
+      textScale: 1.2, // Type size relative to the grid width, before fitting
+      ...options,
+    };
+    this.source = "";
+    this.canvas = document.createElement("canvas");
+    this.context = this.canvas.getContext("2d", { willReadFrequently: true });
+  }
+
+  set(options) {
+    Object.assign(this.options, options);
+    return this;
+  }
+
+  setSource(source) {
+    this.source = source;
+    return this;
+  }
+
+  // Videos change on their own and need rendering every frame
+  get live() {
+    return typeof this.source === "object" && "videoWidth" in this.source;
+  }
+
+  get ramp() {
+    const { ramp } = this.options;
+    return Array.isArray(ramp)
+      ? ramp
+      : GLYPH_RAMPS[ramp] || GLYPH_RAMPS.classic;
+  }
+
+  // Sample the source into a cols x rows canvas and return its pixels
+  sample(cols, rows) {
+    const { canvas, context } = this;
+    if (canvas.width !== cols || canvas.height !== rows) {
+      canvas.width = cols;
+      canvas.height = rows;
+    }
+
+    context.fillStyle = "black";
+    context.fillRect(0, 0, cols, rows);
+
+    if (typeof this.source === "string") this.drawText(cols, rows);
+    else if (this.source) this.drawSource(cols, rows);
+
+    return context.getImageData(0, 0, cols, rows).data;
+  }
+
+  // White type, as large as fits, wrapped over however many lines gives
+  // the largest size
+  drawText(cols, rows) {
+    const { context } = this;
+    const { fontFamily, textScale } = this.options;
+    const words = this.source.split(/[ \t]+/).filter(Boolean);
+    if (!words.length) return;
+
+    const fontSize = cols * textScale;
+    context.font = `${fontSize}px ${fontFamily}`;
+    context.fillStyle = "white";
+    context.textBaseline = "top";
+
+    const layout = (lines) => {
+      const boxes = lines.map((line) => {
+        const metrics = context.measureText(line);
+        return {
+          line,
+          x: metrics.actualBoundingBoxLeft * -1,
+          y: metrics.actualBoundingBoxAscent * -1,
+          w: metrics.actualBoundingBoxLeft + metrics.actualBoundingBoxRight,
+          h: metrics.actualBoundingBoxAscent + metrics.actualBoundingBoxDescent,
+        };
+      });
+      const lineHeight = fontSize * 1.1;
+      const w = Math.max(...boxes.map((box) => box.w));
+      const h = lineHeight * (lines.length - 1) + boxes[lines.length - 1].h;
+      // Shrink to fit, with a small margin
+      const scale = Math.min(1, (cols * 0.92) / w, (rows * 0.92) / h);
+      return { boxes, lineHeight, w, h, scale };
+    };
+
+    // Explicit line breaks are kept; otherwise try 1..n lines
+    let best;
+    if (this.source.includes("\n")) {
+      best = layout(this.source.split("\n").map((line) => line.trim()));
+    } else {
+      for (let count = 1; count <= words.length; count++) {
+        const candidate = layout(wrapWords(words, count));
+        if (!best || candidate.scale > best.scale) best = candidate;
+      }
+    }
+
+    const { boxes, lineHeight, w, h, scale } = best;
+    context.save();
+    context.translate(cols * 0.5, rows * 0.5);
+    context.scale(scale, scale);
+    context.translate(w * -0.5, h * -0.5);
+    boxes.forEach((box, i) => {
+      // Each line centred on the widest, top of the first glyph at 0
+      const tx = (w - box.w) * 0.5 - box.x;
+      const ty = i * lineHeight - boxes[0].y;
+      context.fillText(box.line, tx, ty);
+    });
+    context.restore();
+  }
+
+  // Image, video or canvas, cropped to cover the grid
+  drawSource(cols, rows) {
+    const [sw, sh] = sourceSize(this.source);
+    if (!sw || !sh) return;
+
+    const scale = Math.max(cols / sw, rows / sh);
+    const w = sw * scale;
+    const h = sh * scale;
+    this.context.drawImage(
+      this.source,
+      (cols - w) * 0.5,
+      (rows - h) * 0.5,
+      w,
+      h
+    );
+  }
+
+  // Brightness (0-255) of every cell, inverted and dithered
+  levels(data, cols, rows) {
+    const { dither, invert } = this.options;
+    const steps = this.ramp.length;
+    const values = new Float32Array(cols * rows);
+
+    for (let i = 0; i < values.length; i++) {
+      const v =
+        data[i * 4] * 0.299 + data[i * 4 + 1] * 0.587 + data[i * 4 + 2] * 0.114;
+      values[i] = invert ? 255 - v : v;
+    }
+
+    if (dither === "ordered") {
+      for (let i = 0; i < values.length; i++) {
+        const threshold =
+          BAYER_4X4[(Math.floor(i / cols) % 4) * 4 + ((i % cols) % 4)];
+        values[i] += (threshold / 16 - 0.5) * (256 / steps);
+      }
+    } else if (dither === "floyd-steinberg") {
+      const band = 256 / steps;
+      for (let i = 0; i < values.length; i++) {
+        const col = i % cols;
+        const index = Math.min(
+          steps - 1,
+          Math.max(0, Math.floor(values[i] / band))
+        );
+        const error = values[i] - (index + 0.5) * band;
+        values[i] = (index + 0.5) * band;
+
+        if (col < cols - 1) values[i + 1] += (error * 7) / 16;
+        if (i + cols < values.length) {
+          if (col > 0) values[i + cols - 1] += (error * 3) / 16;
+          values[i + cols] += (error * 5) / 16;
+          if (col < cols - 1) values[i + cols + 1] += error / 16;
+        }
+      }
+    }
+
+    return values;
+  }
+
+  glyph(level) {
+    const ramp = this.ramp;
+    const index = Math.min(
+      ramp.length - 1,
+      Math.max(0, Math.floor((level / 256) * ramp.length))
+    );
+    const glyph = ramp[index];
+    return Array.isArray(glyph) ? random.pick(glyph) : glyph;
+  }
+
+  render(context, width, height) {
+    const { cell, fontFamily, fontScale, accentChance, accentScale } =
+      this.options;
+    const { colour, foreground, background, gradient } = this.options;
+    const cols = Math.max(1, Math.floor(width / cell));
+    const rows = Math.max(1, Math.floor(height / cell));
+    const data = this.sample(cols, rows);
+    const levels = this.levels(data, cols, rows);
+
+    context.save();
+    context.fillStyle = background;
+    context.fillRect(0, 0, width, height);
+
+    context.textBaseline = "middle";
+    context.textAlign = "center";
+    context.fillStyle = foreground;
+
+    const font = `${cell * fontScale}px ${fontFamily}`;
+    const accentFont = `${cell * accentScale}px ${fontFamily}`;
+
+    for (let i = 0; i < cols * rows; i++) {
+      const col = i % cols;
+      const row = Math.floor(i / cols);
+
+      const glyph = this.glyph(levels[i]);
+      const accent = random.value() < accentChance;
+      if (!glyph.trim()) continue;
+
+      context.font = accent ? accentFont : font;
+      if (colour === "source") {
+        context.fillStyle = `rgb(${data[i * 4]}, ${data[i * 4 + 1]}, ${data[i * 4 + 2]})`;
+      } else if (colour === "palette" && gradient) {
+        context.fillStyle = gradient(levels[i] / 255);
+      }
+      context.fillText(glyph, (col + 0.5) * cell, (row + 0.5) * cell);
+    }
+
+    context.restore();
+    return this;
+  }
+}
+
+// Resolve with an <img> for a URL, File or Blob
+export const loadImage = (src) =>
+  new Promise((resolve, reject) => {
+    const image = new Image();
+    const url = src instanceof Blob ? URL.createObjectURL(src) : src;
+    image.onload = () => {
+      if (src instanceof Blob) URL.revokeObjectURL(url);
+      resolve(image);
+    };
+    image.onerror = () => reject(new Error(`Failed to load image ${url}`));
+    image.src = url;
+  });
+
+// Resolve with a muted, looping, playing <video> for a URL, File, Blob or
+// MediaStream
+export const loadVideo = (src) =>
+  new Promise((resolve, reject) => {
+    const video = document.createElement("video");
+    Object.assign(video, { muted: true, loop: true, playsInline: true });
+    video.onloadeddata = () => video.play().then(() => resolve(video), reject);
+    video.onerror = () => reject(new Error("Failed to load video"));
+    if (src instanceof MediaStream) video.srcObject = src;
+    else video.src = src instanceof Blob ? URL.createObjectURL(src) : src;
+  });
+
+export const startWebcam = async ({ width = 640, height = 480 } = {}) => {
+  const stream = await navigator.mediaDevices.getUserMedia({
+    video: { width, height },
+    audio: false,
+  });
+  return loadVideo(stream);
+};
+
+// Release a source from loadVideo/startWebcam (camera light off, object
+// URLs freed); anything else is left alone
+export const stopSource = (source) => {
+  if (!source || typeof source !== "object" || !("videoWidth" in source))
+    return;
+  source.pause();
+  if (source.srcObject) {
+    source.srcObject.getTracks().forEach((track) => track.stop());
+    source.srcObject = null;
+  } else if (source.src.startsWith("blob:")) {
+    URL.revokeObjectURL(source.src);
+  }
+};
@@ -0,0 +1,45 @@
+export const LOG_LEVELS = ["debug", "info", "warn", "error", "silent"];
+
+// Level-filtered logger. `sink` is anything with console-like methods, so
+// logs can be routed to a debug panel or silenced in tests.
+export class Logger {
+  constructor({ level = "warn", prefix = "", sink = console } = {}) {
+    this.prefix = prefix;
+    this.sink = sink;
+    this.setLevel(level);
+  }
+
+  setLevel(level) {
+    if (!LOG_LEVELS.includes(level)) {
+      throw new Error(`Unknown log level "${level}"`);
+    }
+    this.level = level;
+  }
+
+  enabled(level) {
+    return LOG_LEVELS.indexOf(level) >= LOG_LEVELS.indexOf(this.level);
+  }
+
+  log(level, ...args) {
+    if (!this.enabled(level)) return;
+    const method = this.sink[level] || this.sink.log;
+    if (this.prefix) args.unshift(`[${this.prefix}]`);
+    method.apply(this.sink, args);
+  }
+
+  debug(...args) {
+    this.log("debug", ...args);
+  }
+
+  info(...args) {
+    this.log("info", ...args);
+  }
+
+  warn(...args) {
+    this.log("warn", ...args);
+  }
+
+  error(...args) {
+    this.log("error", ...args);
+  }
+}
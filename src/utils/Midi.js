@@ -0,0 +1,264 @@
+import { EventEmitter } from "./EventEmitter.js";
+
+// MIDI sources share one small interface so the mapper can be driven without
+// hardware: start() resolves once ready, listInputs() returns
+// [{ id, name }], and "message" events carry { data, input } where data is
+// the raw status/data bytes.
+
+// Web MIDI API (Chrome, Edge, Opera; Firefox behind a permission prompt)
+export class WebMidiSource extends EventEmitter {
+  constructor() {
+    super();
+    this.access = null;
+    this.handleMessage = this.handleMessage.bind(this);
+  }
+
+  async start() {
+    if (!navigator.requestMIDIAccess) {
+      throw new Error("Web MIDI is not supported in this browser");
+    }
+    this.access = await navigator.requestMIDIAccess();
+    this.attachInputs();
+    // Hot-plugged controllers
+    this.access.onstatechange = () => {
+      this.attachInputs();
+      this.emit("inputs", this.listInputs());
+    };
+  }
+
+  attachInputs() {
+    this.access.inputs.forEach((input) => {
+      input.onmidimessage = (event) => this.handleMessage(event, input);
+    });
+  }
+
+  handleMessage(event, input) {
+    this.emit("message", { data: event.data, input: { id: input.id, name: input.name } });
+  }
+
+  listInputs() {
+    if (!this.access) return [];
+    return Array.from(this.access.inputs.values()).map(({ id, name }) => ({ id, name }));
+  }
+
+  stop() {
+    if (!this.access) return;
+    this.access.inputs.forEach((input) => (input.onmidimessage = null));
+    this.access.onstatechange = null;
+    this.access = null;
+  }
+}
+
+// In-memory source for unit tests and for playing with mappings without a
+// controller: call sendCC()/sendNote() to inject messages.
+export class FakeMidiSource extends EventEmitter {
+  constructor(inputs = [{ id: "fake", name: "Fake MIDI" }]) {
+    super();
+    this.inputs = inputs;
+  }
+
+  async start() {}
+
+  stop() {}
+
+  listInputs() {
+    return this.inputs;
+  }
+
+  send(data, input = this.inputs[0]) {
+    this.emit("message", { data: Uint8Array.from(data), input });
+  }
+
+  // `channel` is 1-16, `value` 0-127
+  sendCC(channel, number, value, input) {
+    this.send([0xb0 | (channel - 1), number, value], input);
+  }
+
+  sendNote(channel, number, velocity = 127, input) {
+    this.send([(velocity > 0 ? 0x90 : 0x80) | (channel - 1), number, velocity], input);
+  }
+}
+
+// Decode raw bytes into { type: "cc" | "noteon" | "noteoff", channel,
+// number, value } with value normalised to 0..1, or null for other messages
+export const parseMidiMessage = (data) => {
+  const [status, number, raw = 0] = data;
+  const kind = status & 0xf0;
+  const channel = (status & 0x0f) + 1;
+  const value = raw / 127;
+
+  if (kind === 0xb0) return { type: "cc", channel, number, value };
+  if (kind === 0x90 && raw > 0) return { type: "noteon", channel, number, value };
+  if (kind === 0x80 || kind === 0x90) return { type: "noteoff", channel, number, value: 0 };
+  return null;
+};
+
+// Maps CC and note messages onto a params object, with MIDI-learn. A mapping
+// is { type: "cc" | "note", channel, number, target, min, max, mode } where
+// mode is "absolute" (CC position, or note velocity), "toggle" (note on
+// flips a boolean / min-max) or "gate" (max while held, min on release).
+// Every message is also pushed into an optional ModulationMatrix as the
+// "midi:cc:<number>" / "midi:note:<number>" source.
+// Emits "message" (parsed), "learn" (target or null), "mapped" (mapping) and
+// "change" (mappings).
+export class MidiMapper extends EventEmitter {
+  // `limits` maps param keys to { min, max } (e.g. a ControlPanel schema)
+  // and sets the default range of learned mappings. `name` enables
+  // localStorage persistence of mappings per sketch.
+  constructor(params, { limits = {}, modulation, name } = {}) {
+    super();
+    this.params = params;
+    this.limits = limits;
+    this.modulation = modulation;
+    this.storageKey = name ? `visual-sketches:midi:${name}` : null;
+    this.mappings = [];
+    this.learning = null; // Param key waiting for the next message
+    this.source = null;
+    this.handleMessage = this.handleMessage.bind(this);
+    this.read();
+  }
+
+  async connect(source) {
+    this.disconnect();
+    this.source = source;
+    source.on("message", this.handleMessage);
+    await source.start();
+    return this;
+  }
+
+  disconnect() {
+    if (!this.source) return;
+    this.source.off("message", this.handleMessage);
+    this.source.stop();
+    this.source = null;
+  }
+
+  // Only numbers and booleans follow a knob or a button
+  canMap(key) {
+    return ["number", "boolean"].includes(typeof this.params[key]);
+  }
+
+  // Map `target` to whichever control moves next
+  learn(target) {
+    if (target && !(target in this.params)) {
+      throw new Error(`Unknown param "${target}"`);
+    }
+    if (target && !this.canMap(target)) {
+      throw new Error(`Param "${target}" is not a number or boolean`);
+    }
+    this.learning = target || null;
+    this.emit("learn", this.learning);
+  }
+
+  cancelLearn() {
+    this.learn(null);
+  }
+
+  addMapping({ type, channel, number, target, min, max, mode } = {}) {
+    const current = this.params[target];
+    const limit = this.limits[target] || {};
+    const mapping = {
+      type,
+      channel,
+      number,
+      target,
+      min: min ?? limit.min ?? 0,
+      max: max ?? limit.max ?? (typeof current === "number" ? Math.max(current * 2, 1) : 1),
+      mode: mode || (type === "note" ? "toggle" : "absolute"),
+    };
+
+    // One control drives one param: replace earlier mappings of either
+    this.mappings = this.mappings.filter(
+      (m) =>
+        m.target !== target &&
+        !(m.type === type && m.channel === channel && m.number === number)
+    );
+    this.mappings.push(mapping);
+    this.write();
+    this.emit("mapped", mapping);
+    return mapping;
+  }
+
+  removeMapping(mapping) {
+    this.mappings = this.mappings.filter((m) => m !== mapping);
+    this.write();
+  }
+
+  handleMessage({ data }) {
+    const message = parseMidiMessage(data);
+    if (!message) return;
+    this.emit("message", message);
+
+    const type = message.type === "cc" ? "cc" : "note";
+    if (this.modulation) {
+      this.modulation.setSourceValue(`midi:${type}:${message.number}`, message.value);
+    }
+
+    if (this.learning && message.type !== "noteoff") {
+      const target = this.learning;
+      this.learning = null;
+      this.addMapping({ type, channel: message.channel, number: message.number, target });
+      this.emit("learn", null);
+    }
+
+    this.mappings.forEach((mapping) => {
+      if (
+        mapping.type === type &&
+        mapping.channel === message.channel &&
+        mapping.number === message.number
+      ) {
+        this.apply(mapping, message);
+      }
+    });
+  }
+
+  apply(mapping, message) {
+    const { target, min, max, mode } = mapping;
+    if (!this.canMap(target)) return; // e.g. a stored mapping to a list param
+    const current = this.params[target];
+    const isBoolean = typeof current === "boolean";
+    let value;
+
+    if (mode === "toggle") {
+      if (message.type !== "noteon" && message.type !== "cc") return;
+      if (message.type === "cc" && message.value < 0.5) return; // Button release
+      value = isBoolean ? !current : current === max ? min : max;
+    } else if (mode === "gate") {
+      const on = message.type === "noteon" || (message.type === "cc" && message.value >= 0.5);
+      value = isBoolean ? on : on ? max : min;
+    } else {
+      value = isBoolean ? message.value >= 0.5 : min + (max - min) * message.value;
+      const limit = this.limits[target];
+      if (!isBoolean && limit && limit.step) {
+        value = Math.round(value / limit.step) * limit.step;
+      }
+    }
+
+    this.params[target] = value;
+  }
+
+  read() {
+    if (!this.storageKey || typeof localStorage === "undefined") return;
+    try {
+      this.mappings = JSON.parse(localStorage.getItem(this.storageKey)) || [];
+    } catch (error) {
+      console.error("Failed to read MIDI mappings:", error);
+    }
+  }
+
+  write() {
+    if (this.storageKey && typeof localStorage !== "undefined") {
+      localStorage.setItem(this.storageKey, JSON.stringify(this.mappings));
+    }
+    this.emit("change", this.mappings);
+  }
+
+  toJSON() {
+    return this.mappings.map((mapping) => ({ ...mapping }));
+  }
+
+  fromJSON(mappings = []) {
+    this.mappings = mappings.map((mapping) => ({ ...mapping }));
+    this.write();
+  }
+}
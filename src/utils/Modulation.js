@@ -0,0 +1,220 @@
+import { random } from "./Random.js";
+import { EventEmitter } from "./EventEmitter.js";
+
+const clamp01 = (v) => Math.min(Math.max(v, 0), 1);
+
+// Shaping curves applied to a source value in 0..1
+export const CURVES = {
+  linear: (t) => t,
+  exponential: (t) => t * t,
+  logarithmic: (t) => Math.sqrt(t),
+  smooth: (t) => t * t * (3 - 2 * t),
+  inverted: (t) => 1 - t,
+};
+
+export const LFO_SHAPES = {
+  sine: (p) => 0.5 - 0.5 * Math.cos(p * Math.PI * 2),
+  triangle: (p) => 1 - Math.abs(p * 2 - 1),
+  saw: (p) => p,
+  square: (p) => (p < 0.5 ? 0 : 1),
+};
+
+let nextRouteId = 1;
+
+// Routes sources (audio features, LFOs, noise, time, pushed values such as
+// MIDI) to numeric params. Each route adds
+//   depth * lerp(min, max, envelope(curve(source)))
+// on top of the param's base value. The base is whatever the param was last
+// set to from outside (e.g. a Tweakpane slider), so panels keep working
+// while a param is modulated. Call update() once per frame before drawing.
+// Emits "routes" (routes) when routes are added, removed or replaced.
+export class ModulationMatrix extends EventEmitter {
+  // `limits` maps param keys to { min, max, step } (e.g. a ControlPanel
+  // schema) to clamp modulated values and snap them to the step, so integer
+  // params such as counts stay whole.
+  constructor(params, { limits = {} } = {}) {
+    super();
+    this.params = params;
+    this.limits = limits;
+    this.routes = [];
+    this.sources = {};
+    this.pushed = {}; // Values set with setSourceValue()
+    this.base = {}; // Unmodulated value per target
+    this.written = {}; // Last value written per target, to spot outside edits
+    this.frame = undefined; // Frame of the last update(), see there
+    this.addAudioSources();
+    this.addSource("time", ({ time }) => time || 0);
+    ["sine", "triangle", "saw", "square"].forEach((shape) =>
+      this.addLfo(`lfo:${shape}`, { shape, rate: 0.25 })
+    );
+    this.addNoise("noise", { rate: 0.5 });
+  }
+
+  // Sources are (context) => number, mostly in 0..1. The context passed to
+  // update() carries { time, frame, deltaTime, audio }.
+  addSource(id, fn) {
+    this.sources[id] = fn;
+    return this;
+  }
+
+  // Value for a push-style source (MIDI, remote control); creates the source
+  setSourceValue(id, value) {
+    if (!this.sources[id]) this.addSource(id, () => this.pushed[id] || 0);
+    this.pushed[id] = value;
+  }
+
+  addAudioSources(bands = ["sub", "bass", "mid", "treble"]) {
+    const audio = (fn) => ({ audio }) => (audio ? clamp01(fn(audio)) : 0);
+    this.addSource("audio:volume", audio((a) => a.volume));
+    this.addSource("audio:rms", audio((a) => a.rms * 2));
+    this.addSource("audio:flux", audio((a) => a.flux * 10));
+    this.addSource("audio:centroid", audio((a) => a.centroid / 22050));
+    this.addSource("audio:beat", audio((a) => (a.beat ? 1 : 0)));
+    this.addSource("audio:onset", audio((a) => (a.onset ? 1 : 0)));
+    bands.forEach((band) =>
+      this.addSource(`audio:${band}`, audio((a) => (a.bands ? a.bands[band] : 0)))
+    );
+  }
+
+  addLfo(id, { shape = "sine", rate = 1, phase = 0 } = {}) {
+    const lfo = { shape, rate, phase };
+    return this.addSource(id, ({ time = 0 }) => {
+      const p = (((time * lfo.rate + lfo.phase) % 1) + 1) % 1;
+      return LFO_SHAPES[lfo.shape](p);
+    });
+  }
+
+  // Smooth 1D noise from the shared seeded generator, in 0..1
+  addNoise(id, { rate = 1, offset = 0 } = {}) {
+    return this.addSource(id, ({ time = 0 }) =>
+      clamp01(0.5 + 0.5 * random.noise1D(time * rate + offset))
+    );
+  }
+
+  sourceIds() {
+    return Object.keys(this.sources);
+  }
+
+  targetIds() {
+    return Object.keys(this.params).filter(
+      (key) => typeof this.params[key] === "number"
+    );
+  }
+
+  addRoute({
+    source = "audio:volume",
+    target,
+    depth = 1,
+    curve = "linear",
+    min = 0,
+    max = 1,
+    attack = 0, // Seconds to rise towards a higher source value
+    release = 0, // Seconds to fall towards a lower one
+    enabled = true,
+  } = {}) {
+    if (!target) target = this.targetIds()[0];
+    const route = {
+      id: nextRouteId++,
+      source,
+      target,
+      depth,
+      curve,
+      min,
+      max,
+      attack,
+      release,
+      enabled,
+      value: 0, // Enveloped source value
+    };
+    this.routes.push(route);
+    this.emit("routes", this.routes);
+    return route;
+  }
+
+  removeRoute(route) {
+    this.routes = this.routes.filter((r) => r !== route && r.id !== route);
+    this.restoreUnrouted();
+    this.emit("routes", this.routes);
+  }
+
+  clear() {
+    this.routes = [];
+    this.restoreUnrouted();
+    this.emit("routes", this.routes);
+  }
+
+  // Put params that lost their last route back to their base value
+  restoreUnrouted() {
+    Object.keys(this.base).forEach((key) => {
+      if (this.routes.some((r) => r.target === key)) return;
+      if (this.params[key] === this.written[key]) this.params[key] = this.base[key];
+      delete this.base[key];
+      delete this.written[key];
+    });
+  }
+
+  // Attack/release envelope follower
+  follow(route, input, dt) {
+    const tau = input > route.value ? route.attack : route.release;
+    const k = tau > 0 && dt > 0 ? 1 - Math.exp(-dt / tau) : 1;
+    route.value += (input - route.value) * k;
+    return route.value;
+  }
+
+  // While canvas-sketch records, every frame renders twice (the tick and the
+  // export). A repeated `context.frame` reuses the envelopes instead of
+  // stepping them again, so exports match playback.
+  update(context = {}) {
+    const dt = context.deltaTime || 0;
+    const repeat = context.frame !== undefined && context.frame === this.frame;
+    this.frame = context.frame;
+    const offsets = {};
+
+    this.routes.forEach((route) => {
+      const source = this.sources[route.source];
+      if (!route.enabled || !source || !(route.target in this.params)) return;
+
+      const raw = source(context);
+      // time is unbounded; everything else is shaped within 0..1
+      const shaped =
+        route.source === "time" ? raw : (CURVES[route.curve] || CURVES.linear)(clamp01(raw));
+      const v = repeat ? route.value : this.follow(route, shaped, dt);
+      const amount = route.depth * (route.min + (route.max - route.min) * v);
+      offsets[route.target] = (offsets[route.target] || 0) + amount;
+    });
+
+    Object.entries(offsets).forEach(([key, offset]) => {
+      // Anything other than our last write is a new base (slider, preset)
+      if (!(key in this.base) || this.params[key] !== this.written[key]) {
+        this.base[key] = this.params[key];
+      }
+
+      let value = this.base[key] + offset;
+      const limit = this.limits[key];
+      if (limit && limit.step) {
+        value = Math.round(value / limit.step) * limit.step;
+      }
+      if (limit && limit.min !== undefined) value = Math.max(value, limit.min);
+      if (limit && limit.max !== undefined) value = Math.min(value, limit.max);
+
+      this.params[key] = value;
+      this.written[key] = value;
+    });
+  }
+
+  // Unmodulated value of a param, e.g. for saving presets
+  getBase(key) {
+    return key in this.base ? this.base[key] : this.params[key];
+  }
+
+  toJSON() {
+    return this.routes.map(({ id, value, ...route }) => route);
+  }
+
+  fromJSON(routes = []) {
+    this.routes = [];
+    routes.forEach((route) => this.addRoute(route));
+    this.restoreUnrouted();
+    this.emit("routes", this.routes);
+  }
+}
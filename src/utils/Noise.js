@@ -0,0 +1,140 @@
+import { random } from "./Random.js";
+
+export const NOISE_TYPES = ["simplex", "fbm", "ridged", "warped", "curl"];
+
+// Offsets that decorrelate octaves and warp layers from each other
+const OCTAVE_OFFSET = 19.19;
+const WARP_OFFSETS = [
+  [0, 0],
+  [5.2, 1.3],
+];
+const CURL_EPSILON = 0.001; // Noise units
+
+// Scalar and vector noise fields over the shared seeded simplex noise:
+//
+//   simplex   plain 2D/3D/4D noise
+//   fbm       fractal Brownian motion, `octaves` layers each `lacunarity`
+//             times finer and `gain` times weaker than the last
+//   ridged    fBm of 1 - |noise|, sharp creases instead of soft hills
+//   warped    fBm sampled at coordinates pushed around by two more fBm
+//             layers, `warp` times their value
+//   curl      direction of the curl of the fBm field; divergence-free, so
+//             particles following it swirl instead of bunching up
+//
+// sample(x, y) is 2D. sample(x, y, t) adds time, either as a third
+// dimension or, with `loop` set, as a circle through the 3rd and 4th
+// dimensions (a torus), so the field at t + loop equals the field at t and
+// animations loop seamlessly. Values are roughly -1..1; for curl it is the
+// flow angle divided by PI, and curl() gives the vector itself.
+export class NoiseField {
+  constructor(options = {}) {
+    this.options = {
+      type: "simplex",
+      frequency: 0.001, // Noise units per pixel
+      octaves: 4,
+      lacunarity: 2,
+      gain: 0.5,
+      warp: 1,
+      speed: 0.01, // Noise units per unit of time
+      loop: 0, // Time units per loop, 0 for no looping
+      rng: random, // Any SeededRandom
+      ...options,
+    };
+  }
+
+  set(options) {
+    Object.assign(this.options, options);
+    return this;
+  }
+
+  // Simplex noise at noise-space (u, v), 2D without a time
+  noise(u, v, t) {
+    const { rng, speed, loop } = this.options;
+    if (t === undefined) return rng.noise2D(u, v);
+    if (!loop) return rng.noise3D(u, v, t * speed);
+
+    const angle = (Math.PI * 2 * t) / loop;
+    const radius = (loop * speed) / (Math.PI * 2); // Same speed as unlooped
+    return rng.noise4D(
+      u,
+      v,
+      Math.cos(angle) * radius,
+      Math.sin(angle) * radius
+    );
+  }
+
+  fbm(u, v, t) {
+    const { octaves, lacunarity, gain } = this.options;
+    let sum = 0;
+    let norm = 0;
+    let amplitude = 1;
+    let scale = 1;
+    for (let i = 0; i < Math.max(1, Math.round(octaves)); i++) {
+      const offset = i * OCTAVE_OFFSET;
+      sum += this.noise(u * scale + offset, v * scale + offset, t) * amplitude;
+      norm += amplitude;
+      amplitude *= gain;
+      scale *= lacunarity;
+    }
+    return norm ? sum / norm : 0;
+  }
+
+  ridged(u, v, t) {
+    const { octaves, lacunarity, gain } = this.options;
+    let sum = 0;
+    let norm = 0;
+    let amplitude = 1;
+    let scale = 1;
+    for (let i = 0; i < Math.max(1, Math.round(octaves)); i++) {
+      const offset = i * OCTAVE_OFFSET;
+      const n =
+        1 - Math.abs(this.noise(u * scale + offset, v * scale + offset, t));
+      sum += n * n * amplitude;
+      norm += amplitude;
+      amplitude *= gain;
+      scale *= lacunarity;
+    }
+    return norm ? (sum / norm) * 2 - 1 : 0;
+  }
+
+  warped(u, v, t) {
+    const { warp } = this.options;
+    const [qx, qy] = WARP_OFFSETS.map(([ox, oy]) =>
+      this.fbm(u + ox, v + oy, t)
+    );
+    return this.fbm(u + qx * warp, v + qy * warp, t);
+  }
+
+  // Curl of the fBm field at pixel (x, y), by central differences
+  curl(x, y, t, out = { x: 0, y: 0 }) {
+    const { frequency } = this.options;
+    const u = x * frequency;
+    const v = y * frequency;
+    const e = CURL_EPSILON;
+    const dx = (this.fbm(u + e, v, t) - this.fbm(u - e, v, t)) / (2 * e);
+    const dy = (this.fbm(u, v + e, t) - this.fbm(u, v - e, t)) / (2 * e);
+    out.x = dy;
+    out.y = -dx;
+    return out;
+  }
+
+  sample(x, y, t) {
+    const { type, frequency } = this.options;
+    const u = x * frequency;
+    const v = y * frequency;
+    switch (type) {
+      case "fbm":
+        return this.fbm(u, v, t);
+      case "ridged":
+        return this.ridged(u, v, t);
+      case "warped":
+        return this.warped(u, v, t);
+      case "curl": {
+        const { x: cx, y: cy } = this.curl(x, y, t);
+        return Math.atan2(cy, cx) / Math.PI;
+      }
+      default:
+        return this.noise(u, v, t);
+    }
+  }
+}
@@ -0,0 +1,106 @@
+import { FFT } from "./FFT.js";
+
+// Frame-by-frame analysis of a decoded AudioBuffer. Reproduces the
+// AnalyserNode pipeline (Blackman window, FFT, temporal smoothing, dB range
+// mapped to bytes) so offline frames look like what the live analyser gives,
+// but the same frame always yields the same values.
+export class OfflineAnalyser {
+  constructor({
+    fftSize = 1024,
+    smoothingTimeConstant = 0.8,
+    minDecibels = -85,
+    maxDecibels = -10,
+    volumeSmoothing = 0.8,
+  } = {}) {
+    this.fftSize = fftSize;
+    this.frequencyBinCount = fftSize / 2;
+    this.smoothingTimeConstant = smoothingTimeConstant;
+    this.minDecibels = minDecibels;
+    this.maxDecibels = maxDecibels;
+    this.volumeSmoothing = volumeSmoothing;
+
+    this.fft = new FFT(fftSize);
+    this.window = new Float64Array(fftSize);
+    for (let i = 0; i < fftSize; i++) {
+      const x = (2 * Math.PI * i) / fftSize;
+      this.window[i] = 0.42 - 0.5 * Math.cos(x) + 0.08 * Math.cos(2 * x);
+    }
+  }
+
+  // Mix all channels down to a single mono Float32Array
+  static toMono(buffer) {
+    const mono = new Float32Array(buffer.length);
+    for (let c = 0; c < buffer.numberOfChannels; c++) {
+      const data = buffer.getChannelData(c);
+      for (let i = 0; i < data.length; i++) {
+        mono[i] += data[i] / buffer.numberOfChannels;
+      }
+    }
+    return mono;
+  }
+
+  // Pass an AudioFeatures instance as `features` to also store band, onset and
+  // beat data per frame (it is reset first, since it is stateful).
+  analyse(buffer, { fps = 60, duration = buffer.duration, features } = {}) {
+    const samples = OfflineAnalyser.toMono(buffer);
+    const frameCount = Math.ceil(duration * fps);
+    const frames = new Array(frameCount);
+
+    const n = this.fftSize;
+    const bins = this.frequencyBinCount;
+    const real = new Float64Array(n);
+    const imag = new Float64Array(n);
+    const smoothed = new Float64Array(bins);
+    const range = this.maxDecibels - this.minDecibels;
+    const timeDomainData = new Float32Array(n);
+    let prevVolume = 0;
+    if (features) features.reset();
+
+    for (let frame = 0; frame < frameCount; frame++) {
+      // Like the live analyser, look at the most recent fftSize samples
+      const end = Math.round((frame / fps) * buffer.sampleRate);
+      const start = end - n;
+
+      for (let i = 0; i < n; i++) {
+        const s = start + i;
+        const v = s >= 0 && s < samples.length ? samples[s] : 0;
+        timeDomainData[i] = v;
+        real[i] = v * this.window[i];
+        imag[i] = 0;
+      }
+
+      this.fft.forward(real, imag);
+
+      const frequencyData = new Uint8Array(bins);
+      let sum = 0;
+      for (let k = 0; k < bins; k++) {
+        const magnitude = Math.hypot(real[k], imag[k]) / n;
+        smoothed[k] =
+          this.smoothingTimeConstant * smoothed[k] +
+          (1 - this.smoothingTimeConstant) * magnitude;
+
+        const db = 20 * Math.log10(smoothed[k] || Number.MIN_VALUE);
+        const byte = Math.floor((255 / range) * (db - this.minDecibels));
+        frequencyData[k] = Math.min(Math.max(byte, 0), 255);
+        sum += frequencyData[k];
+      }
+
+      // Same volume definition and smoothing as AudioManager.getAudioData()
+      const rawVolume = sum / bins / 255;
+      prevVolume =
+        prevVolume * this.volumeSmoothing +
+        rawVolume * (1 - this.volumeSmoothing);
+
+      frames[frame] = {
+        time: frame / fps,
+        volume: prevVolume,
+        frequencyData,
+        features: features
+          ? features.compute(frequencyData, timeDomainData, frame / fps)
+          : null,
+      };
+    }
+
+    return { fps, duration, frameCount, frames };
+  }
+}
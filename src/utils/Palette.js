@@ -0,0 +1,248 @@
+import { random } from "./Random.js";
+
+// Curated palettes. `background` and `foreground` are the light theme; the
+// dark theme swaps them. `colours` are spread over elements and gradients;
+// with none, everything is drawn in the foreground.
+export const PALETTES = {
+  mono: { background: "#ffffff", foreground: "#000000", colours: [] },
+  spectrum: {
+    background: "#ffffff",
+    foreground: "#000000",
+    colours: ["#e6194b", "#f58231", "#ffe119", "#3cb44b", "#4363d8", "#911eb4"],
+  },
+  sunset: {
+    background: "#fdf6ec",
+    foreground: "#2b2d42",
+    colours: ["#355070", "#6d597a", "#b56576", "#e56b6f", "#eaac8b"],
+  },
+  ocean: {
+    background: "#f7fbfc",
+    foreground: "#03045e",
+    colours: ["#03045e", "#023e8a", "#0077b6", "#00b4d8"],
+  },
+  forest: {
+    background: "#fefae0",
+    foreground: "#283618",
+    colours: ["#283618", "#606c38", "#a3b18a", "#dda15e", "#bc6c25"],
+  },
+  bauhaus: {
+    background: "#f1faee",
+    foreground: "#1d3557",
+    colours: ["#e63946", "#f4a261", "#2a9d8f", "#264653", "#1d3557"],
+  },
+  neon: {
+    background: "#ffffff",
+    foreground: "#0b0b12",
+    colours: ["#ff006e", "#fb5607", "#ffbe0b", "#8338ec", "#3a86ff"],
+  },
+};
+
+// Palettes generated from the seed, as hue offsets in degrees around a
+// random base hue
+export const SCHEMES = {
+  analogous: [-40, -20, 0, 20, 40],
+  complementary: [0, 20, 180, 200],
+  triadic: [0, 120, 240],
+  tetradic: [0, 90, 180, 270],
+};
+
+// { label: name } for a ControlPanel list
+export const PALETTE_OPTIONS = {
+  ...Object.fromEntries(Object.keys(PALETTES).map((name) => [name, name])),
+  ...Object.fromEntries(
+    Object.keys(SCHEMES).map((name) => [`${name} (seeded)`, name])
+  ),
+};
+
+export const THEMES = ["light", "dark"];
+export const SPACES = ["oklab", "oklch"];
+
+// How pick() colours an element:
+//   solid  the foreground
+//   index  palette colours in turn
+//   noise  a gradient through the palette, by a noise value in -1..1
+//   bands  a gradient by the level of an audio band, elements taking the
+//          bands in turn
+export const MAPPINGS = ["solid", "index", "noise", "bands"];
+
+// sRGB channel (0..1) to linear light and back
+const toLinear = (c) =>
+  c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+const fromLinear = (c) =>
+  c <= 0.0031308 ? c * 12.92 : 1.055 * Math.pow(c, 1 / 2.4) - 0.055;
+const clamp01 = (v) => Math.min(1, Math.max(0, v));
+
+// "#rgb" or "#rrggbb" to [r, g, b] in 0..1
+export const parseHex = (hex) => {
+  let h = hex.replace("#", "");
+  if (h.length === 3) h = h.replace(/./g, "$&$&");
+  const n = parseInt(h, 16);
+  return [(n >> 16) & 255, (n >> 8) & 255, n & 255].map((v) => v / 255);
+};
+
+// [r, g, b] in 0..1 (clipped to the sRGB gamut) to "#rrggbb"
+export const toHex = (rgb) =>
+  `#${rgb
+    .map((v) =>
+      Math.round(clamp01(v) * 255)
+        .toString(16)
+        .padStart(2, "0")
+    )
+    .join("")}`;
+
+// OKLab (https://bottosson.github.io/posts/oklab/): perceptually even, so
+// gradients don't dip in brightness or go grey halfway the way RGB does
+export const rgbToOklab = ([r, g, b]) => {
+  const lr = toLinear(r);
+  const lg = toLinear(g);
+  const lb = toLinear(b);
+  const l = Math.cbrt(
+    0.4122214708 * lr + 0.5363325363 * lg + 0.0514459929 * lb
+  );
+  const m = Math.cbrt(
+    0.2119034982 * lr + 0.6806995451 * lg + 0.1073969566 * lb
+  );
+  const s = Math.cbrt(
+    0.0883024619 * lr + 0.2817188376 * lg + 0.6299787005 * lb
+  );
+  return [
+    0.2104542553 * l + 0.793617785 * m - 0.0040720468 * s,
+    1.9779984951 * l - 2.428592205 * m + 0.4505937099 * s,
+    0.0259040371 * l + 0.7827717662 * m - 0.808675766 * s,
+  ];
+};
+
+export const oklabToRgb = ([L, a, b]) => {
+  const l = (L + 0.3963377774 * a + 0.2158037573 * b) ** 3;
+  const m = (L - 0.1055613458 * a - 0.0638541728 * b) ** 3;
+  const s = (L - 0.0894841775 * a - 1.291485548 * b) ** 3;
+  return [
+    4.0767416621 * l - 3.3077115913 * m + 0.2309699292 * s,
+    -1.2684380046 * l + 2.6097574011 * m - 0.3413193965 * s,
+    -0.0041960863 * l - 0.7034186147 * m + 1.707614701 * s,
+  ].map(fromLinear);
+};
+
+// OKLCH: OKLab as lightness, chroma and hue (degrees)
+export const oklabToOklch = ([L, a, b]) => [
+  L,
+  Math.hypot(a, b),
+  ((Math.atan2(b, a) * 180) / Math.PI + 360) % 360,
+];
+
+export const oklchToOklab = ([L, C, h]) => [
+  L,
+  C * Math.cos((h * Math.PI) / 180),
+  C * Math.sin((h * Math.PI) / 180),
+];
+
+// Blend two OKLab colours at t, straight through OKLab or around the hue
+// circle (the short way) in OKLCH
+export const mixOklab = (a, b, t, space = "oklab") => {
+  if (space !== "oklch") return a.map((v, i) => v + (b[i] - v) * t);
+
+  const [l1, c1, h1] = oklabToOklch(a);
+  const [l2, c2, h2] = oklabToOklch(b);
+  const dh = ((h2 - h1 + 540) % 360) - 180;
+  return oklchToOklab([l1 + (l2 - l1) * t, c1 + (c2 - c1) * t, h1 + dh * t]);
+};
+
+export const mix = (hexA, hexB, t, space) =>
+  toHex(
+    oklabToRgb(
+      mixOklab(rgbToOklab(parseHex(hexA)), rgbToOklab(parseHex(hexB)), t, space)
+    )
+  );
+
+// Palette from one of SCHEMES, drawn from `rng` (a SeededRandom)
+export const generatePalette = (scheme, rng = random) => {
+  const hue = rng.range(0, 360);
+  const colours = SCHEMES[scheme].map((offset, i, offsets) =>
+    oklchToOklab([
+      0.45 + (0.35 * i) / Math.max(1, offsets.length - 1), // Dark to light
+      rng.range(0.1, 0.16),
+      hue + offset,
+    ])
+  );
+  const toColour = (lab) => toHex(oklabToRgb(lab));
+  return {
+    background: toColour(oklchToOklab([0.97, 0.015, hue])),
+    foreground: toColour(oklchToOklab([0.25, 0.04, hue])),
+    colours: colours.map(toColour),
+  };
+};
+
+// The active palette of a sketch, by name (PALETTES or SCHEMES), theme and
+// interpolation space. Seeded palettes follow the shared seed.
+//
+//   const palette = new Palette();
+//   palette.set({ name: params.palette, theme: params.theme });
+//   context.fillStyle = palette.background;
+//   context.strokeStyle = palette.pick("index", { index: i });
+export class Palette {
+  constructor(options = {}) {
+    this.options = { name: "mono", theme: "light", space: "oklab", ...options };
+    this.key = null;
+    this.update();
+  }
+
+  set(options) {
+    Object.assign(this.options, options);
+    return this.update();
+  }
+
+  // Rebuild the colours when the palette, the theme or, for seeded ones,
+  // the seed changed
+  update() {
+    const { name, theme } = this.options;
+    const seeded = name in SCHEMES;
+    const key = `${name}:${theme}:${seeded ? random.getSeed() : ""}`;
+    if (key === this.key) return this;
+
+    this.key = key;
+    this.palette = seeded
+      ? generatePalette(name, random.fork(`palette-${name}`))
+      : PALETTES[name] || PALETTES.mono;
+    this.labs = this.colours.map((hex) => rgbToOklab(parseHex(hex)));
+    return this;
+  }
+
+  get background() {
+    const { background, foreground } = this.palette;
+    return this.options.theme === "dark" ? foreground : background;
+  }
+
+  get foreground() {
+    const { background, foreground } = this.palette;
+    return this.options.theme === "dark" ? background : foreground;
+  }
+
+  get colours() {
+    const { colours } = this.palette;
+    return colours.length ? colours : [this.foreground];
+  }
+
+  // Colour at 0..1 along a gradient through the palette's colours
+  at(t) {
+    const { labs } = this;
+    if (labs.length === 1) return this.colours[0];
+
+    const x = clamp01(t) * (labs.length - 1);
+    const i = Math.min(Math.floor(x), labs.length - 2);
+    return toHex(
+      oklabToRgb(mixOklab(labs[i], labs[i + 1], x - i, this.options.space))
+    );
+  }
+
+  // Colour of the `index`th element under `mapping` (one of MAPPINGS).
+  // `noise` is -1..1 and `audio` an AudioManager frame with `bands`.
+  pick(mapping, { index = 0, noise = 0, audio } = {}) {
+    if (mapping === "index") return this.colours[index % this.colours.length];
+    if (mapping === "noise") return this.at((noise + 1) * 0.5);
+    if (mapping === "bands") {
+      const levels = Object.values((audio && audio.bands) || {});
+      return this.at(levels.length ? levels[index % levels.length] : 0);
+    }
+    return this.foreground;
+  }
+}
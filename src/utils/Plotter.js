@@ -0,0 +1,627 @@
+// Vector export for pen plotters. PlotterContext records the stroked paths
+// a sketch draws (moveTo/lineTo/arc/rect with transforms and lineWidth) as
+// polylines in sketch units, while passing every call on to the real 2D
+// context. toSvg() turns them into an SVG in physical units, optionally
+// merging touching paths, ordering them to cut pen-up travel and hatching
+// strokes wider than the pen with parallel passes.
+
+// Units per inch
+export const UNITS = { mm: 25.4, cm: 2.54, in: 1 };
+
+const IDENTITY = [1, 0, 0, 1, 0, 0];
+const TAU = Math.PI * 2;
+
+// 2D affine matrices as [a, b, c, d, e, f], like DOMMatrix
+const multiply = ([a, b, c, d, e, f], [A, B, C, D, E, F]) => [
+  a * A + c * B,
+  b * A + d * B,
+  a * C + c * D,
+  b * C + d * D,
+  a * E + c * F + e,
+  b * E + d * F + f,
+];
+
+const apply = ([a, b, c, d, e, f], x, y) => [
+  a * x + c * y + e,
+  b * x + d * y + f,
+];
+
+// Average scale of a matrix, for line widths and arc resolution
+const scaleOf = ([a, b, c, d]) => Math.sqrt(Math.abs(a * d - b * c));
+
+const distanceSq = ([x1, y1], [x2, y2]) => (x2 - x1) ** 2 + (y2 - y1) ** 2;
+
+// Drop repeated points, which would give zero-length segments
+const dedupe = (points) =>
+  points.filter((p, i) => i === 0 || distanceSq(p, points[i - 1]) > 1e-12);
+
+export class PlotterContext {
+  // `tolerance` is the maximum distance (in sketch units) between an arc and
+  // the polyline that approximates it.
+  constructor({ tolerance = 0.1 } = {}) {
+    this.tolerance = tolerance;
+    this.width = 0;
+    this.height = 0;
+    this.reset();
+  }
+
+  reset() {
+    this.paths = []; // { points, closed, lineWidth, strokeStyle }
+    this.subpaths = [];
+    this.state = { matrix: IDENTITY, lineWidth: 1, strokeStyle: "black" };
+    this.stack = [];
+    return this;
+  }
+
+  // Start a frame: clears the paths and, while a single frame is exported
+  // (when exportWithSvg() writes the SVG), returns a context that draws to
+  // `props.context` as usual while recording the strokes. Otherwise it
+  // returns props.context itself, so live playback and recordings don't pay
+  // for the recording. Use it in place of props.context inside a render.
+  record({ context, width, height, exporting, recording }) {
+    this.reset();
+    this.width = width;
+    this.height = height;
+    return exporting && !recording ? this.wrap(context) : context;
+  }
+
+  wrap(target) {
+    const recorder = this;
+    return new Proxy(target, {
+      get(target, key) {
+        const value = target[key];
+        if (typeof value !== "function") return value;
+        const record = typeof recorder[key] === "function" && RECORDED.has(key);
+        return (...args) => {
+          if (record) recorder[key](...args);
+          return value.apply(target, args);
+        };
+      },
+      set(target, key, value) {
+        if (key === "lineWidth" || key === "strokeStyle") {
+          recorder.state[key] = value;
+        }
+        target[key] = value;
+        return true;
+      },
+    });
+  }
+
+  set lineWidth(value) {
+    this.state.lineWidth = value;
+  }
+
+  get lineWidth() {
+    return this.state.lineWidth;
+  }
+
+  set strokeStyle(value) {
+    this.state.strokeStyle = value;
+  }
+
+  get strokeStyle() {
+    return this.state.strokeStyle;
+  }
+
+  save() {
+    this.stack.push({ ...this.state });
+  }
+
+  restore() {
+    if (this.stack.length) this.state = this.stack.pop();
+  }
+
+  transform(a, b, c, d, e, f) {
+    this.state.matrix = multiply(this.state.matrix, [a, b, c, d, e, f]);
+  }
+
+  setTransform(a, b, c, d, e, f) {
+    if (typeof a === "object") ({ a, b, c, d, e, f } = a);
+    this.state.matrix = [a, b, c, d, e, f];
+  }
+
+  resetTransform() {
+    this.state.matrix = IDENTITY;
+  }
+
+  translate(x, y) {
+    this.transform(1, 0, 0, 1, x, y);
+  }
+
+  scale(x, y) {
+    this.transform(x, 0, 0, y, 0, 0);
+  }
+
+  rotate(angle) {
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    this.transform(cos, sin, -sin, cos, 0, 0);
+  }
+
+  beginPath() {
+    this.subpaths = [];
+  }
+
+  get current() {
+    return this.subpaths[this.subpaths.length - 1];
+  }
+
+  moveTo(x, y) {
+    this.subpaths.push({
+      points: [apply(this.state.matrix, x, y)],
+      closed: false,
+    });
+  }
+
+  lineTo(x, y) {
+    if (!this.current) return this.moveTo(x, y);
+    this.current.points.push(apply(this.state.matrix, x, y));
+  }
+
+  closePath() {
+    const { current } = this;
+    if (!current) return;
+    current.closed = true;
+    this.moveTo(...this.inverse(current.points[0]));
+  }
+
+  // Back to user space, so closePath() can start the next subpath in place
+  inverse([x, y]) {
+    const [a, b, c, d, e, f] = this.state.matrix;
+    const det = a * d - b * c;
+    return [
+      (d * (x - e) - c * (y - f)) / det,
+      (a * (y - f) - b * (x - e)) / det,
+    ];
+  }
+
+  rect(x, y, w, h) {
+    this.moveTo(x, y);
+    this.lineTo(x + w, y);
+    this.lineTo(x + w, y + h);
+    this.lineTo(x, y + h);
+    this.current.closed = true;
+    this.moveTo(x, y);
+  }
+
+  arc(x, y, radius, startAngle, endAngle, counterclockwise = false) {
+    let sweep = endAngle - startAngle;
+    if (!counterclockwise && sweep >= TAU) sweep = TAU;
+    else if (counterclockwise && -sweep >= TAU) sweep = -TAU;
+    else if (!counterclockwise) sweep = ((sweep % TAU) + TAU) % TAU;
+    else sweep = -(((-sweep % TAU) + TAU) % TAU);
+
+    // Segments so the chord error stays under the tolerance
+    const r = radius * scaleOf(this.state.matrix);
+    const step =
+      2 * Math.acos(Math.max(-1, 1 - this.tolerance / Math.max(r, 1e-9)));
+    const segments = Math.max(4, Math.ceil(Math.abs(sweep) / (step || TAU)));
+
+    for (let i = 0; i <= segments; i++) {
+      const angle = startAngle + (sweep * i) / segments;
+      const px = x + Math.cos(angle) * radius;
+      const py = y + Math.sin(angle) * radius;
+      if (i === 0 && !this.current) this.moveTo(px, py);
+      else this.lineTo(px, py);
+    }
+    if (Math.abs(sweep) >= TAU) this.current.closed = true;
+  }
+
+  stroke() {
+    const lineWidth = this.state.lineWidth * scaleOf(this.state.matrix);
+    const { strokeStyle } = this.state;
+    this.subpaths.forEach((subpath) => {
+      const points = dedupe(subpath.points);
+      const { closed } = subpath;
+      const last = points[points.length - 1];
+      if (closed && points.length > 2 && distanceSq(points[0], last) < 1e-12) {
+        points.pop(); // Full circles end where they start
+      }
+      if (points.length < 2) return;
+      this.paths.push({ points, closed, lineWidth, strokeStyle });
+    });
+  }
+
+  strokeRect(x, y, w, h) {
+    const { subpaths } = this;
+    this.subpaths = [];
+    this.rect(x, y, w, h);
+    this.stroke();
+    this.subpaths = subpaths;
+  }
+
+  toSvg(options = {}) {
+    return toSvg(this.paths, {
+      width: this.width,
+      height: this.height,
+      ...options,
+    });
+  }
+}
+
+// Context methods mirrored into the recording; everything else (fills,
+// text, images) only reaches the real context.
+const RECORDED = new Set([
+  "save",
+  "restore",
+  "transform",
+  "setTransform",
+  "resetTransform",
+  "translate",
+  "scale",
+  "rotate",
+  "beginPath",
+  "moveTo",
+  "lineTo",
+  "closePath",
+  "rect",
+  "arc",
+  "stroke",
+  "strokeRect",
+]);
+
+// Uniform grid of path points for mergePaths() and sortPaths(), so a lookup
+// only visits the cells around a point instead of every path. Entries are
+// { point, rank, ... }; ties in distance go to the lowest rank. String keys,
+// as merging uses cells as small as its tolerance.
+class PointGrid {
+  constructor(entries, cellSize) {
+    this.cellSize = cellSize;
+    this.cells = new Map();
+    this.size = entries.length;
+    this.bounds = [Infinity, Infinity, -Infinity, -Infinity];
+    entries.forEach((entry) => {
+      const cx = this.coord(entry.point[0]);
+      const cy = this.coord(entry.point[1]);
+      const key = `${cx},${cy}`;
+      const cell = this.cells.get(key);
+      if (cell) cell.push(entry);
+      else this.cells.set(key, [entry]);
+
+      const [minX, minY, maxX, maxY] = this.bounds;
+      this.bounds = [
+        Math.min(minX, cx),
+        Math.min(minY, cy),
+        Math.max(maxX, cx),
+        Math.max(maxY, cy),
+      ];
+    });
+  }
+
+  // About one entry per cell over the entries' bounding box
+  static fit(entries) {
+    let [minX, minY, maxX, maxY] = [Infinity, Infinity, -Infinity, -Infinity];
+    entries.forEach(({ point: [x, y] }) => {
+      [minX, minY] = [Math.min(minX, x), Math.min(minY, y)];
+      [maxX, maxY] = [Math.max(maxX, x), Math.max(maxY, y)];
+    });
+    const extent = Math.max(maxX - minX, maxY - minY);
+    return new PointGrid(entries, extent / Math.sqrt(entries.length) || 1);
+  }
+
+  coord(v) {
+    return Math.floor(v / this.cellSize);
+  }
+
+  forEachInCell(cx, cy, fn) {
+    const cell = this.cells.get(`${cx},${cy}`);
+    if (cell) cell.forEach(fn);
+  }
+
+  // Call fn(entry) for the entries in cells overlapping the square around
+  // `point`
+  forEachNear([x, y], radius, fn) {
+    const maxX = this.coord(x + radius);
+    const maxY = this.coord(y + radius);
+    for (let cx = this.coord(x - radius); cx <= maxX; cx++) {
+      for (let cy = this.coord(y - radius); cy <= maxY; cy++) {
+        this.forEachInCell(cx, cy, fn);
+      }
+    }
+  }
+
+  // Nearest entry to `point` that `accept`s, searching outward ring by ring
+  // until nothing closer can be left
+  nearest(point, accept) {
+    const cx = this.coord(point[0]);
+    const cy = this.coord(point[1]);
+    const [minX, minY, maxX, maxY] = this.bounds;
+    const rings = Math.max(cx - minX, maxX - cx, cy - minY, maxY - cy);
+    let best = null;
+    let bestDist = Infinity;
+    const visit = (entry) => {
+      if (!accept(entry)) return;
+      const d = distanceSq(point, entry.point);
+      if (d < bestDist || (d === bestDist && entry.rank < best.rank)) {
+        [best, bestDist] = [entry, d];
+      }
+    };
+
+    for (let ring = 0; ring <= rings; ring++) {
+      for (let i = cx - ring; i <= cx + ring; i++) {
+        this.forEachInCell(i, cy - ring, visit);
+        if (ring) this.forEachInCell(i, cy + ring, visit);
+      }
+      for (let j = cy - ring + 1; j < cy + ring; j++) {
+        this.forEachInCell(cx - ring, j, visit);
+        this.forEachInCell(cx + ring, j, visit);
+      }
+      // Anything outside this ring is at least `ring * cellSize` away
+      const limit = ring * this.cellSize;
+      if (bestDist < limit * limit) break;
+    }
+    return best;
+  }
+}
+
+// Join paths whose ends meet (within `tolerance`) into longer ones, so the
+// pen stays down, and drop exact duplicates. Only paths with the same
+// stroke style and width are joined.
+export const mergePaths = (paths, { tolerance = 0.01 } = {}) => {
+  const tolSq = tolerance * tolerance;
+  const seen = new Set();
+  const open = [];
+  const merged = [];
+
+  paths.forEach((path) => {
+    const key = `${path.strokeStyle}|${path.lineWidth}|${path.closed}|${path.points}`;
+    if (seen.has(key)) return;
+    seen.add(key);
+    if (path.closed) merged.push(path);
+    else open.push({ ...path, points: path.points.slice() });
+  });
+
+  const compatible = (a, b) =>
+    a.strokeStyle === b.strokeStyle && a.lineWidth === b.lineWidth;
+
+  // Both ends of every open path, by index into `open`. Paths are taken
+  // from the end of `open` and joined with the first one left whose end
+  // meets theirs.
+  const ends = open.flatMap(({ points }, rank) => [
+    { point: points[0], rank },
+    { point: points[points.length - 1], rank },
+  ]);
+  const grid = new PointGrid(ends, tolerance || 1);
+  const left = open.map(() => true);
+
+  for (let index = open.length - 1; index >= 0; index--) {
+    if (!left[index]) continue;
+    left[index] = false;
+    const path = open[index];
+
+    for (;;) {
+      const start = path.points[0];
+      const end = path.points[path.points.length - 1];
+      let first = -1;
+      [start, end].forEach((point) =>
+        grid.forEachNear(point, tolerance, ({ point: other, rank }) => {
+          if (!left[rank] || (first >= 0 && rank > first)) return;
+          if (!compatible(path, open[rank])) return;
+          if (distanceSq(point, other) <= tolSq) first = rank;
+        })
+      );
+      if (first < 0) break;
+
+      const other = open[first];
+      const otherStart = other.points[0];
+      const otherEnd = other.points[other.points.length - 1];
+      if (distanceSq(end, otherStart) <= tolSq) {
+        path.points.push(...other.points.slice(1));
+      } else if (distanceSq(end, otherEnd) <= tolSq) {
+        path.points.push(...other.points.slice(0, -1).reverse());
+      } else if (distanceSq(start, otherEnd) <= tolSq) {
+        path.points.unshift(...other.points.slice(0, -1));
+      } else {
+        path.points.unshift(...other.points.slice(1).reverse());
+      }
+      left[first] = false;
+    }
+    const first = path.points[0];
+    const last = path.points[path.points.length - 1];
+    if (path.points.length > 2 && distanceSq(first, last) <= tolSq) {
+      path.points.pop();
+      path.closed = true;
+    }
+    merged.push(path);
+  }
+  return merged;
+};
+
+// Greedy nearest-neighbour ordering to shorten pen-up travel. Open paths
+// may be reversed and closed paths entered at their nearest point.
+export const sortPaths = (paths, start = [0, 0]) => {
+  // Where the pen can enter each path: "forward" | "reverse" for open paths,
+  // the index to rotate to for closed ones
+  const entries = [];
+  paths.forEach(({ points, closed }, index) => {
+    if (closed) {
+      points.forEach((point, mode) => entries.push({ point, index, mode }));
+      return;
+    }
+    entries.push({ point: points[0], index, mode: "forward" });
+    entries.push({ point: points[points.length - 1], index, mode: "reverse" });
+  });
+  entries.forEach((entry, rank) => (entry.rank = rank));
+
+  const done = paths.map(() => false);
+  const accept = ({ index }) => !done[index];
+  const sorted = [];
+  let pen = start;
+  let grid = entries.length ? PointGrid.fit(entries) : null;
+  let left = entries.length;
+
+  while (sorted.length < paths.length) {
+    // Regrid once most entries are used, so searches don't cross the empty
+    // cells they leave
+    if (left < grid.size / 4) grid = PointGrid.fit(entries.filter(accept));
+
+    const { index, mode } = grid.nearest(pen, accept);
+    let path = paths[index];
+    done[index] = true;
+    left -= path.closed ? path.points.length : 2;
+    if (mode === "reverse") {
+      path = { ...path, points: path.points.slice().reverse() };
+    } else if (typeof mode === "number" && mode > 0) {
+      const { points } = path;
+      path = {
+        ...path,
+        points: points.slice(mode).concat(points.slice(0, mode)),
+      };
+    }
+    sorted.push(path);
+    pen = path.closed ? path.points[0] : path.points[path.points.length - 1];
+  }
+  return sorted;
+};
+
+// Offset a polyline sideways by `distance`, mitering the joints (limited so
+// sharp turns don't spike).
+export const offsetPolyline = (points, distance, closed = false) => {
+  const n = points.length;
+  const normal = (i, j) => {
+    const [x1, y1] = points[i];
+    const [x2, y2] = points[j];
+    const len = Math.hypot(x2 - x1, y2 - y1) || 1;
+    return [-(y2 - y1) / len, (x2 - x1) / len];
+  };
+
+  return points.map((point, i) => {
+    const hasPrev = closed || i > 0;
+    const hasNext = closed || i < n - 1;
+    const prev = hasPrev ? normal((i - 1 + n) % n, i) : null;
+    const next = hasNext ? normal(i, (i + 1) % n) : null;
+    const a = prev || next;
+    const b = next || prev;
+
+    let mx = a[0] + b[0];
+    let my = a[1] + b[1];
+    const len = Math.hypot(mx, my);
+    if (len < 1e-9) [mx, my] = a;
+    else [mx, my] = [mx / len, my / len];
+    const miter = Math.min(1 / Math.max(mx * a[0] + my * a[1], 1e-9), 2);
+    return [point[0] + mx * distance * miter, point[1] + my * distance * miter];
+  });
+};
+
+// Replace strokes wider than the pen (both in output units) with parallel
+// passes spaced by the pen width, so thick lines plot filled. Passes over
+// an open path zigzag into one path; closed paths become nested rings.
+export const hatchPaths = (paths, { penWidth }) =>
+  paths.flatMap((path) => {
+    if (path.lineWidth <= penWidth * 1.5) {
+      return [{ ...path, lineWidth: penWidth }];
+    }
+
+    const passes = Math.ceil(path.lineWidth / penWidth);
+    const span = path.lineWidth - penWidth;
+    const rings = Array.from({ length: passes }, (_, i) => {
+      const offset = -span / 2 + (span * i) / (passes - 1);
+      const points = offsetPolyline(path.points, offset, path.closed);
+      if (!path.closed && i % 2) points.reverse();
+      return points;
+    });
+
+    if (path.closed) {
+      return rings.map((points) => ({ ...path, points, lineWidth: penWidth }));
+    }
+    return [{ ...path, points: rings.flat(), lineWidth: penWidth }];
+  });
+
+const round = (v) => Math.round(v * 1000) / 1000;
+
+const toPathData = ({ points, closed }) =>
+  points
+    .map(([x, y], i) => `${i ? "L" : "M"}${round(x)} ${round(y)}`)
+    .join("") + (closed ? "Z" : "");
+
+const escapeXml = (value) =>
+  String(value).replace(/[<>&"]/g, (c) => `&#${c.charCodeAt(0)};`);
+
+// SVG for a plotter. The drawing (width x height in sketch units) is either
+// fitted inside a page of `size` [w, h] `units` with a `margin`, or scaled
+// at `pixelsPerInch` when no size is given. Each stroke style becomes an
+// Inkscape layer, so multi-pen plots can be run layer by layer.
+export const toSvg = (
+  paths,
+  {
+    width,
+    height,
+    units = "mm",
+    size,
+    margin = 0,
+    pixelsPerInch = 96,
+    penWidth = 0.3, // In `units`
+    merge = false,
+    optimise = false,
+    hatch = false,
+  } = {}
+) => {
+  if (!UNITS[units]) throw new Error(`Unknown units "${units}"`);
+
+  let scale = UNITS[units] / pixelsPerInch;
+  let pageWidth = width * scale;
+  let pageHeight = height * scale;
+  let offsetX = 0;
+  let offsetY = 0;
+  if (size) {
+    [pageWidth, pageHeight] = size;
+    scale = Math.min(
+      (pageWidth - margin * 2) / width,
+      (pageHeight - margin * 2) / height
+    );
+    offsetX = (pageWidth - width * scale) / 2;
+    offsetY = (pageHeight - height * scale) / 2;
+  }
+
+  let output = paths.map((path) => ({
+    ...path,
+    points: path.points.map(([x, y]) => [
+      x * scale + offsetX,
+      y * scale + offsetY,
+    ]),
+    lineWidth: path.lineWidth * scale,
+  }));
+  if (merge) output = mergePaths(output, { tolerance: penWidth * 0.1 });
+  if (hatch) output = hatchPaths(output, { penWidth });
+
+  const layers = new Map();
+  output.forEach((path) => {
+    const style = String(path.strokeStyle);
+    if (!layers.has(style)) layers.set(style, []);
+    layers.get(style).push(path);
+  });
+
+  const groups = [...layers].map(([style, layer], i) => {
+    const ordered = optimise ? sortPaths(layer) : layer;
+    const body = ordered
+      .map(
+        (path) =>
+          `    <path d="${toPathData(path)}" stroke-width="${round(path.lineWidth)}"/>`
+      )
+      .join("\n");
+    return [
+      `  <g inkscape:groupmode="layer" inkscape:label="${i + 1} ${escapeXml(style)}"`,
+      `     stroke="${escapeXml(style)}">`,
+      body,
+      "  </g>",
+    ].join("\n");
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<svg xmlns="http://www.w3.org/2000/svg"`,
+    `     xmlns:inkscape="http://www.inkscape.org/namespaces/inkscape"`,
+    `     width="${round(pageWidth)}${units}" height="${round(pageHeight)}${units}"`,
+    `     viewBox="0 0 ${round(pageWidth)} ${round(pageHeight)}"`,
+    `     fill="none" stroke-linecap="round" stroke-linejoin="round">`,
+    ...groups,
+    "</svg>",
+    "",
+  ].join("\n");
+};
+
+// Render return value that adds the recorded plot as an SVG to `outputs`
+// (e.g. from exportWithSeed()); undefined outputs stay undefined, so SVGs
+// are only written for single-frame exports.
+export const exportWithSvg = (outputs, plotter, options) =>
+  outputs && [...outputs, { data: plotter.toSvg(options), extension: ".svg" }];
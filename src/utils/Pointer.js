@@ -0,0 +1,171 @@
+import { EventEmitter } from "./EventEmitter.js";
+import { Vector } from "./Vector.js";
+
+// Mouse, pen and touch input on a canvas-sketch canvas, in the sketch's own
+// coordinates: the `width` x `height` the render function draws in, whatever
+// the canvas's CSS size and pixel ratio. Call update(props) once per frame;
+// the first call attaches to props.canvas.
+//
+//   const pointer = new PointerInput();
+//   ...
+//   pointer.update(props);
+//   pointer.list().forEach((p) => agent.seek(p.pos));
+//
+// Each pointer has { id, type, pos, vel (px per second), start, down,
+// dragging, primary }. A hovering mouse counts as a pointer that isn't down;
+// touches exist only while touching. Emits "down", "move", "drag" and "up"
+// (pointer) as the events arrive.
+export class PointerInput extends EventEmitter {
+  constructor({ smoothing = 0.6, dragThreshold = 4 } = {}) {
+    super();
+    this.smoothing = smoothing; // 0 = raw velocity, closer to 1 = smoother
+    this.dragThreshold = dragThreshold; // Distance before a press is a drag
+    this.pointers = new Map(); // pointerId -> pointer
+    this.canvas = null;
+    this.width = 0;
+    this.height = 0;
+
+    this.onDown = this.onDown.bind(this);
+    this.onMove = this.onMove.bind(this);
+    this.onUp = this.onUp.bind(this);
+    this.onLeave = this.onLeave.bind(this);
+  }
+
+  // Listen on `canvas`. update() does this with props.canvas; canvases
+  // without DOM events (headless renders) are ignored.
+  attach(canvas) {
+    if (canvas === this.canvas) return this;
+    this.detach();
+    if (!canvas || typeof canvas.addEventListener !== "function") return this;
+
+    this.canvas = canvas;
+    // Touches drive the sketch rather than scroll the page
+    canvas.style.touchAction = "none";
+    canvas.addEventListener("pointerdown", this.onDown);
+    canvas.addEventListener("pointermove", this.onMove);
+    canvas.addEventListener("pointerup", this.onUp);
+    canvas.addEventListener("pointercancel", this.onUp);
+    canvas.addEventListener("pointerleave", this.onLeave);
+    return this;
+  }
+
+  detach() {
+    const { canvas } = this;
+    if (!canvas) return this;
+    canvas.removeEventListener("pointerdown", this.onDown);
+    canvas.removeEventListener("pointermove", this.onMove);
+    canvas.removeEventListener("pointerup", this.onUp);
+    canvas.removeEventListener("pointercancel", this.onUp);
+    canvas.removeEventListener("pointerleave", this.onLeave);
+    this.canvas = null;
+    this.pointers.clear();
+    return this;
+  }
+
+  // Client (CSS pixel) position to sketch coordinates
+  toCanvas(clientX, clientY, out = new Vector()) {
+    const rect = this.canvas.getBoundingClientRect();
+    const width = this.width || this.canvas.width;
+    const height = this.height || this.canvas.height;
+    return out.set(
+      ((clientX - rect.left) / rect.width) * width,
+      ((clientY - rect.top) / rect.height) * height
+    );
+  }
+
+  // Track `props.canvas`, pick up the sketch size and update velocities
+  update({ canvas, width, height, deltaTime } = {}) {
+    this.attach(canvas);
+    this.width = width || this.width;
+    this.height = height || this.height;
+
+    const dt = deltaTime || 1 / 60;
+    const raw = new Vector();
+    this.pointers.forEach((pointer) => {
+      raw
+        .copy(pointer.pos)
+        .sub(pointer.last)
+        .scale(1 / dt);
+      pointer.vel.lerp(raw, 1 - this.smoothing);
+      pointer.last.copy(pointer.pos);
+    });
+    return this;
+  }
+
+  list() {
+    return [...this.pointers.values()];
+  }
+
+  // Pointers that are pressed (mouse buttons, touches, pen contact)
+  pressed() {
+    return this.list().filter((pointer) => pointer.down);
+  }
+
+  get primary() {
+    return this.list().find((pointer) => pointer.primary) || null;
+  }
+
+  get active() {
+    return this.pointers.size > 0;
+  }
+
+  track(e) {
+    let pointer = this.pointers.get(e.pointerId);
+    if (!pointer) {
+      const pos = this.toCanvas(e.clientX, e.clientY);
+      pointer = {
+        id: e.pointerId,
+        type: e.pointerType,
+        primary: e.isPrimary,
+        pos,
+        last: pos.clone(),
+        start: pos.clone(),
+        vel: new Vector(),
+        down: false,
+        dragging: false,
+      };
+      this.pointers.set(e.pointerId, pointer);
+    } else {
+      this.toCanvas(e.clientX, e.clientY, pointer.pos);
+    }
+    return pointer;
+  }
+
+  onDown(e) {
+    const pointer = this.track(e);
+    pointer.down = true;
+    pointer.dragging = false;
+    pointer.start.copy(pointer.pos);
+    this.canvas.setPointerCapture(e.pointerId); // Keep dragging off-canvas
+    this.emit("down", pointer);
+  }
+
+  onMove(e) {
+    const pointer = this.track(e);
+    if (
+      pointer.down &&
+      !pointer.dragging &&
+      pointer.pos.getDistance(pointer.start) > this.dragThreshold
+    ) {
+      pointer.dragging = true;
+    }
+    this.emit(pointer.dragging ? "drag" : "move", pointer);
+  }
+
+  onUp(e) {
+    const pointer = this.pointers.get(e.pointerId);
+    if (!pointer) return;
+    pointer.down = false;
+    pointer.dragging = false;
+    // Touches end with the contact; a mouse or pen keeps hovering
+    if (e.pointerType === "touch" || e.type === "pointercancel") {
+      this.pointers.delete(e.pointerId);
+    }
+    this.emit("up", pointer);
+  }
+
+  onLeave(e) {
+    const pointer = this.pointers.get(e.pointerId);
+    if (pointer && !pointer.down) this.pointers.delete(e.pointerId);
+  }
+}
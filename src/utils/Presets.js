@@ -0,0 +1,212 @@
+import { EventEmitter } from "./EventEmitter.js";
+import { pickFile, downloadFile } from "./FileIO.js";
+
+const FORMAT_VERSION = 1;
+const EXTRAS_KEY = "$extras";
+
+const smoothstep = (t) => t * t * (3 - 2 * t);
+
+// Named snapshots of a sketch's `params`, kept in localStorage and
+// exportable as JSON. Values are written back into the same params object,
+// so the render loop and Tweakpane bindings pick them up directly.
+// Emits "change" (names) when the stored list changes and "load" (name).
+export class PresetManager extends EventEmitter {
+  // `name` namespaces storage per sketch. `exclude` lists params that are
+  // never stored (device ids, debug toggles), `integers` params that are
+  // rounded while crossfading. `pane` (a Tweakpane pane or ControlPanel) is
+  // refreshed after every change. `extras` maps names to objects with
+  // toJSON()/fromJSON() (modulation routes, MIDI mappings, ...) saved
+  // alongside the values. `getValue` reads a param for saving, e.g. the
+  // unmodulated base from a ModulationMatrix.
+  constructor(
+    params,
+    {
+      name,
+      exclude = [],
+      integers = [],
+      pane,
+      extras = {},
+      getValue = (key) => params[key],
+    } = {}
+  ) {
+    super();
+    this.params = params;
+    this.name = name;
+    this.storageKey = `visual-sketches:presets:${name}`;
+    this.exclude = exclude;
+    this.integers = integers;
+    this.pane = pane;
+    this.extras = extras;
+    this.getValue = getValue;
+    this.fade = null; // Running crossfade, see crossfade()
+    this.presets = this.read();
+  }
+
+  read() {
+    try {
+      return JSON.parse(localStorage.getItem(this.storageKey)) || {};
+    } catch (error) {
+      console.error("Failed to read presets:", error);
+      return {};
+    }
+  }
+
+  write() {
+    localStorage.setItem(this.storageKey, JSON.stringify(this.presets));
+    this.emit("change", this.list());
+  }
+
+  list() {
+    return Object.keys(this.presets).sort();
+  }
+
+  get(name) {
+    return this.presets[name];
+  }
+
+  // Current values of all stored params
+  snapshot() {
+    const values = {};
+    Object.keys(this.params).forEach((key) => {
+      const value = this.getValue(key);
+      if (this.exclude.includes(key)) return;
+      if (["number", "boolean", "string"].includes(typeof value)) {
+        values[key] = value;
+      }
+    });
+    return values;
+  }
+
+  save(name) {
+    if (!name) throw new Error("Preset name is required");
+    const preset = this.snapshot();
+    const extras = {};
+    Object.entries(this.extras).forEach(([key, extra]) => {
+      extras[key] = extra.toJSON();
+    });
+    if (Object.keys(extras).length) preset[EXTRAS_KEY] = extras;
+
+    this.presets[name] = preset;
+    this.write();
+  }
+
+  remove(name) {
+    delete this.presets[name];
+    this.write();
+  }
+
+  // Apply a preset immediately; unknown keys are ignored
+  load(name) {
+    const values = this.presets[name];
+    if (!values) throw new Error(`Unknown preset "${name}"`);
+
+    this.stopFade();
+    this.apply(values);
+    this.applyExtras(values);
+    this.emit("load", name);
+  }
+
+  applyExtras(preset) {
+    const extras = preset[EXTRAS_KEY] || {};
+    Object.entries(extras).forEach(([key, data]) => {
+      if (this.extras[key]) this.extras[key].fromJSON(data);
+    });
+  }
+
+  apply(values) {
+    Object.entries(values).forEach(([key, value]) => {
+      if (key in this.params && !this.exclude.includes(key)) {
+        this.params[key] = value;
+      }
+    });
+    if (this.pane) this.pane.refresh();
+  }
+
+  // Blend between two value sets. Numbers are interpolated, everything else
+  // switches halfway through.
+  interpolate(from, to, t) {
+    const values = {};
+    Object.keys(to).forEach((key) => {
+      if (key === EXTRAS_KEY) return;
+      const a = key in from ? from[key] : to[key];
+      const b = to[key];
+      if (typeof a === "number" && typeof b === "number") {
+        const v = a + (b - a) * t;
+        values[key] = this.integers.includes(key) ? Math.round(v) : v;
+      } else {
+        values[key] = t < 0.5 ? a : b;
+      }
+    });
+    return values;
+  }
+
+  // Fade from the current values (or preset `from`) to preset `to` over
+  // `duration` seconds. Resolves when done, or early if another fade starts.
+  crossfade(to, duration = 2, { from, easing = smoothstep } = {}) {
+    const target = this.presets[to];
+    if (!target) return Promise.reject(new Error(`Unknown preset "${to}"`));
+    const start = from ? this.presets[from] : this.snapshot();
+    if (!start) return Promise.reject(new Error(`Unknown preset "${from}"`));
+
+    this.stopFade();
+
+    return new Promise((resolve) => {
+      const began = performance.now();
+      const fade = { resolve, raf: null };
+      this.fade = fade;
+
+      const tick = (now) => {
+        if (this.fade !== fade) return;
+        const t = duration > 0 ? Math.min((now - began) / 1000 / duration, 1) : 1;
+        this.apply(this.interpolate(start, target, easing(t)));
+
+        if (t < 1) {
+          fade.raf = requestAnimationFrame(tick);
+        } else {
+          this.fade = null;
+          this.applyExtras(target);
+          this.emit("load", to);
+          resolve(true);
+        }
+      };
+      fade.raf = requestAnimationFrame(tick);
+    });
+  }
+
+  stopFade() {
+    if (!this.fade) return;
+    cancelAnimationFrame(this.fade.raf);
+    this.fade.resolve(false);
+    this.fade = null;
+  }
+
+  toJSON() {
+    return {
+      version: FORMAT_VERSION,
+      sketch: this.name,
+      presets: this.presets,
+    };
+  }
+
+  // Merge presets from an exported JSON object; same names are overwritten
+  fromJSON(json) {
+    if (!json || typeof json.presets !== "object") {
+      throw new Error("Not a presets file");
+    }
+    if (json.sketch && json.sketch !== this.name) {
+      console.warn(`Importing presets from "${json.sketch}" into "${this.name}"`);
+    }
+    Object.assign(this.presets, json.presets);
+    this.write();
+  }
+
+  exportFile() {
+    downloadFile(JSON.stringify(this.toJSON(), null, 2), `${this.name}-presets.json`);
+  }
+
+  async importFile() {
+    const file = await pickFile("application/json,.json");
+    if (!file) return;
+    this.fromJSON(JSON.parse(await file.text()));
+  }
+}
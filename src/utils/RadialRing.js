@@ -0,0 +1,140 @@
+import math from "canvas-sketch-util/math.js";
+import { random } from "./Random.js";
+
+// Range each arc's random values are drawn from, as [min, max]
+export const ARC_RANGES = {
+  scale: [0.1, 2], // Rectangle width scale
+  heightScale: [0.2, 0.5], // Rectangle height scale
+  rectOffset: [0, -0.5], // Rectangle offset from the ring, in rect heights
+  lineWidth: [5, 20],
+  arcRadius: [0.7, 1.3], // Relative to the ring radius
+  arcStart: [1, -5], // In slices
+  arcEnd: [0, 8],
+};
+
+// Sketch-02's ring of rectangles and arcs: `slices` rectangles around a
+// circle, each with an arc through it, repeated over `rings` concentric
+// rings. Every arc's shape is drawn at random once, in generate(); draw()
+// then scales it with the audio volume through the *Effect options.
+//
+//   const ring = new RadialRing({ rings: 2, slices: 16 });
+//   ring.generate(random);
+//   ring.draw(context, { width, height, cx, cy, radius, rotation, volume });
+export class RadialRing {
+  constructor(options = {}) {
+    this.options = {
+      rings: 1,
+      slices: 12,
+      ringSpacing: 0.25, // Inner rings shrink by this much of the radius each
+      jitter: 1, // 0 draws every arc alike, 1 uses the full ARC_RANGES
+      ranges: ARC_RANGES,
+      rectWidth: 0.01, // Relative to the canvas width
+      rectHeight: 0.1, // Relative to the canvas height
+      rectWidthEffect: 5, // How much volume affects rectangle width
+      rectScaleEffect: 1,
+      rectHeightEffect: 1,
+      rectOffsetEffect: 0.5,
+      arcWidthEffect: 2, // How much volume affects line width
+      arcRadiusEffect: 0.5,
+      arcLengthEffect: 1,
+      colour: null, // (index) => CSS colour per arc, or the context's style
+      ...options,
+    };
+    this.arcs = [];
+  }
+
+  set(options) {
+    Object.assign(this.options, options);
+    return this;
+  }
+
+  get count() {
+    const { rings, slices } = this.options;
+    return Math.max(1, Math.round(rings)) * Math.max(1, Math.round(slices));
+  }
+
+  // Re-roll every arc from `rng` (a SeededRandom), ring by ring. The jitter
+  // is applied while drawing, so the same generator always gives the same
+  // arcs. Adding rings keeps the existing rings' arcs as they were; changing
+  // the slice count deals every ring after the first a new set.
+  generate(rng = random) {
+    const keys = Object.keys(this.options.ranges);
+    this.arcs = Array.from({ length: this.count }, () =>
+      Object.fromEntries(
+        keys.map((key) => [key, rng.range(...this.options.ranges[key])])
+      )
+    );
+    return this;
+  }
+
+  // Arc value blended towards the middle of its range by the jitter
+  value(arc, key) {
+    const [min, max] = this.options.ranges[key];
+    return math.lerp((min + max) * 0.5, arc[key], this.options.jitter);
+  }
+
+  draw(context, { width, height, cx, cy, radius, rotation = 0, volume = 0 }) {
+    const o = this.options;
+    const rings = Math.max(1, Math.round(o.rings));
+    const slices = Math.max(1, Math.round(o.slices));
+    const slice = math.degToRad(360 / slices);
+    const h = height * o.rectHeight;
+
+    // Same for every arc
+    const w = width * o.rectWidth * (1 + volume * o.rectWidthEffect);
+    const volumeScale = 1 + volume * o.rectScaleEffect;
+    const volumeHeight = 1 + volume * o.rectHeightEffect;
+    const volumeOffset = 1 + volume * o.rectOffsetEffect;
+    const volumeLineWidth = 1 + volume * o.arcWidthEffect;
+    const volumeRadius = 1 + volume * o.arcRadiusEffect;
+    const volumeLength = 1 + volume * o.arcLengthEffect;
+
+    for (let ring = 0; ring < rings; ring++) {
+      const ringRadius = radius * Math.max(0, 1 - ring * o.ringSpacing);
+
+      for (let i = 0; i < slices; i++) {
+        const arc = this.arcs[ring * slices + i];
+        if (!arc) continue; // Not generated yet
+        const angle = slice * i + rotation;
+        if (o.colour) {
+          context.fillStyle = context.strokeStyle = o.colour(ring * slices + i);
+        }
+        const x = cx + ringRadius * Math.sin(angle);
+        const y = cy + ringRadius * Math.cos(angle);
+
+        // Rectangle on the ring
+        context.save();
+        context.translate(x, y);
+        context.rotate(-angle);
+        context.scale(
+          this.value(arc, "scale") * volumeScale,
+          this.value(arc, "heightScale") * volumeHeight
+        );
+        const offset = h * this.value(arc, "rectOffset") * volumeOffset;
+
+        context.beginPath();
+        context.rect(-w * 0.5, offset, w, h);
+        context.fill();
+        context.restore();
+
+        // Arc around the centre
+        context.save();
+        context.translate(cx, cy);
+        context.rotate(-angle);
+        context.lineWidth = this.value(arc, "lineWidth") * volumeLineWidth;
+
+        const arcRadius =
+          ringRadius * this.value(arc, "arcRadius") * volumeRadius;
+        const arcStart = slice * this.value(arc, "arcStart") * volumeLength;
+        const arcEnd = slice * this.value(arc, "arcEnd") * volumeLength;
+
+        context.beginPath();
+        context.arc(0, 0, arcRadius, arcStart, arcEnd);
+        context.stroke();
+        context.restore();
+      }
+    }
+
+    return this;
+  }
+}
@@ -0,0 +1,86 @@
+import csRandom from "canvas-sketch-util/random.js";
+import { EventEmitter } from "./EventEmitter.js";
+
+// canvas-sketch-util/random methods forwarded to the seeded generator
+const METHODS = [
+  "value",
+  "valueNonZero",
+  "noise1D",
+  "noise2D",
+  "noise3D",
+  "noise4D",
+  "sign",
+  "boolean",
+  "chance",
+  "range",
+  "rangeFloor",
+  "pick",
+  "shuffle",
+  "onCircle",
+  "insideCircle",
+  "onSphere",
+  "insideSphere",
+  "quaternion",
+  "weighted",
+  "weightedSet",
+  "weightedSetIndex",
+  "gaussian",
+];
+
+// Seed from `?seed=` in the page URL, if any
+const seedFromUrl = () => {
+  if (typeof window === "undefined" || !window.location) return null;
+  return new URLSearchParams(window.location.search).get("seed");
+};
+
+// Seeded wrapper around canvas-sketch-util/random. Every sketch and util
+// draws from the shared `random` instance below, so one seed reproduces a
+// whole frame. Emits "seed" (seed) whenever the seed changes.
+export class SeededRandom extends EventEmitter {
+  constructor(seed = csRandom.getRandomSeed()) {
+    super();
+    this.history = []; // Previously used seeds, most recent last
+    METHODS.forEach((name) => {
+      this[name] = (...args) => this.generator[name](...args);
+    });
+    this.setSeed(seed);
+  }
+
+  setSeed(seed) {
+    if (this.seed !== undefined && this.seed !== String(seed)) {
+      this.history.push(this.seed);
+    }
+    this.seed = String(seed);
+    this.reset();
+    this.emit("seed", this.seed);
+    return this;
+  }
+
+  getSeed() {
+    return this.seed;
+  }
+
+  // Restart the sequence for the current seed (same values, same noise)
+  reset() {
+    this.generator = csRandom.createRandom(this.seed);
+    return this;
+  }
+
+  reseed() {
+    return this.setSeed(csRandom.getRandomSeed());
+  }
+
+  // Step numeric seeds up or down; other seeds get a numeric suffix
+  step(delta = 1) {
+    const n = Number(this.seed);
+    return this.setSeed(Number.isInteger(n) ? Math.max(n + delta, 0) : `${this.seed}-${delta}`);
+  }
+
+  // Independent generator, e.g. for a sub-system that shouldn't shift the
+  // main sequence. Derived from the current seed so it is reproducible too.
+  fork(name) {
+    return new SeededRandom(`${this.seed}:${name}`);
+  }
+}
+
+export const random = new SeededRandom(seedFromUrl() || undefined);
@@ -0,0 +1,117 @@
+import { EventEmitter } from "./EventEmitter.js";
+
+// Browser side of the remote-control bridge (src/bridge/server.js). Applies
+// incoming { type: "set" } messages to `params`, runs { type: "action" }
+// messages from `actions`, and streams audio features back out. Reconnects
+// while the bridge is down. Emits "open", "close", "set" (key, value) and
+// "action" (name).
+export class RemoteClient extends EventEmitter {
+  constructor({
+    url = "ws://127.0.0.1:8787",
+    name,
+    params,
+    actions = {},
+    featureRate = 30, // Max feature messages per second
+    reconnectDelay = 2000,
+  } = {}) {
+    super();
+    this.url = url;
+    this.name = name;
+    this.params = params;
+    this.actions = actions;
+    this.featureInterval = 1000 / featureRate;
+    this.reconnectDelay = reconnectDelay;
+    this.lastFeatures = 0;
+    this.socket = null;
+    this.closed = true;
+  }
+
+  // Connect if the page URL has ?remote (or ?remote=<ws url>); returns
+  // whether it did. Keeps sketches quiet when no bridge is running.
+  connectFromUrl() {
+    const value = new URLSearchParams(window.location.search).get("remote");
+    if (value === null) return false;
+    if (value) this.url = value;
+    this.connect();
+    return true;
+  }
+
+  connect() {
+    this.closed = false;
+    this.socket = new WebSocket(this.url);
+
+    this.socket.onopen = () => {
+      this.send({ type: "hello", role: "sketch", name: this.name });
+      this.emit("open");
+    };
+    this.socket.onmessage = (event) => {
+      try {
+        this.handleMessage(JSON.parse(event.data));
+      } catch (error) {
+        console.error("Bad remote message:", error);
+      }
+    };
+    this.socket.onclose = () => {
+      this.socket = null;
+      this.emit("close");
+      if (!this.closed) setTimeout(() => !this.closed && this.connect(), this.reconnectDelay);
+    };
+  }
+
+  close() {
+    this.closed = true;
+    if (this.socket) this.socket.close();
+  }
+
+  send(message) {
+    if (this.socket && this.socket.readyState === WebSocket.OPEN) {
+      this.socket.send(JSON.stringify(message));
+    }
+  }
+
+  handleMessage(message) {
+    if (message.type === "set") {
+      this.set(message.key, message.value);
+    } else if (message.type === "action") {
+      const action = this.actions[message.name];
+      if (!action) {
+        console.warn(`Unknown remote action "${message.name}"`);
+        return;
+      }
+      Promise.resolve(action()).catch((error) =>
+        console.error(`Remote action "${message.name}" failed:`, error)
+      );
+      this.emit("action", message.name);
+    }
+  }
+
+  // Only existing params, coerced to the param's current type
+  set(key, value) {
+    if (!(key in this.params)) {
+      console.warn(`Unknown remote param "${key}"`);
+      return;
+    }
+    const current = this.params[key];
+    if (typeof current === "number") value = Number(value);
+    else if (typeof current === "boolean") value = value === true || value === 1 || value === "true";
+    else value = String(value);
+    if (typeof value === "number" && Number.isNaN(value)) return;
+
+    this.params[key] = value;
+    this.emit("set", key, value);
+  }
+
+  // Send the scalar features from AudioManager.getAudioData(), throttled
+  sendFeatures(audioData) {
+    if (!this.socket || !audioData) return;
+    const now = performance.now();
+    if (now - this.lastFeatures < this.featureInterval) return;
+    this.lastFeatures = now;
+
+    const { volume, rms, centroid, flux, onset, beat, bpm, bands } = audioData;
+    this.send({
+      type: "features",
+      data: { volume, rms, centroid, flux, onset, beat, bpm, bands },
+    });
+  }
+}
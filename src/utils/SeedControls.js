@@ -0,0 +1,78 @@
+import { random } from "./Random.js";
+
+const SEED_KEYS = ["KeyR", "BracketLeft", "BracketRight"];
+
+// True for the Shift+key combos handled below, so sketches with their own
+// key handling (sketch-05) can skip them
+export const isSeedKey = (e) =>
+  e.shiftKey && !e.metaKey && !e.ctrlKey && SEED_KEYS.includes(e.code);
+
+// Wires the shared seed into a running canvas-sketch manager:
+// - exported filenames get a `seed-<seed>` suffix
+// - Shift+R picks a new random seed, Shift+[ and Shift+] step it down/up
+// - a small overlay shows the current seed
+// - the sketch is re-run on every seed change so setup-time randomness
+//   (arc layouts, agent positions, ...) is regenerated
+export const attachSeedControls = (manager, sketch, { showOverlay = true } = {}) => {
+  let label;
+  if (showOverlay && typeof document !== "undefined") {
+    label = document.createElement("div");
+    Object.assign(label.style, {
+      position: "fixed",
+      left: "8px",
+      bottom: "8px",
+      padding: "2px 6px",
+      font: "11px monospace",
+      color: "#fff",
+      background: "rgba(0, 0, 0, 0.6)",
+      pointerEvents: "none",
+      zIndex: 10,
+    });
+    document.body.appendChild(label);
+  }
+
+  const apply = (seed) => {
+    manager.update({ suffix: `seed-${seed}` });
+    if (label) label.textContent = `seed ${seed}  (Shift+R new, Shift+[ ] step)`;
+  };
+
+  const onSeed = (seed) => {
+    apply(seed);
+    random.reset();
+    manager.loadAndRun(sketch);
+  };
+
+  const onKeyUp = (e) => {
+    // Leave typing in inputs alone
+    if (!isSeedKey(e) || e.target.tagName === "INPUT") return;
+    if (e.code === "KeyR") random.reseed();
+    else if (e.code === "BracketLeft") random.step(-1);
+    else random.step(1);
+  };
+
+  apply(random.getSeed());
+  const off = random.on("seed", onSeed);
+  document.addEventListener("keyup", onKeyUp);
+
+  return () => {
+    off();
+    document.removeEventListener("keyup", onKeyUp);
+    if (label) label.remove();
+  };
+};
+
+// Render return value that adds a JSON sidecar with the seed (and anything
+// in `extra`, e.g. params) when canvas-sketch exports a single frame. Use as
+// `return exportWithSeed(props, { params });` at the end of a render.
+export const exportWithSeed = (
+  { context, exporting, recording, frame },
+  extra = {}
+) => {
+  if (!exporting || recording) return undefined;
+
+  const metadata = { seed: random.getSeed(), frame, ...extra };
+  return [
+    context.canvas,
+    { data: JSON.stringify(metadata, null, 2), extension: ".json" },
+  ];
+};
@@ -0,0 +1,146 @@
+// Uniform grid for neighbour queries on anything with a `pos` ({ x, y }).
+// Rebuild it every frame with clear() + insert() (or rebuild()); with a cell
+// size close to the query radius each query only visits a handful of cells.
+export class SpatialHash {
+  constructor(cellSize = 50) {
+    this.cellSize = cellSize;
+    this.cells = new Map(); // key -> array of item indices
+    this.items = [];
+  }
+
+  // Unique numeric key for cell coordinates within +/-32768
+  static key(cx, cy) {
+    return (cx + 32768) * 65536 + (cy + 32768);
+  }
+
+  // Radius within which each of `count` items spread evenly over `area` has
+  // `neighbours` others on average. Shrinking a query radius to this as the
+  // count grows keeps the work per item constant.
+  static densityRadius(neighbours, count, area) {
+    return Math.sqrt((neighbours * area) / (Math.PI * Math.max(count, 1)));
+  }
+
+  cellCoord(v) {
+    return Math.floor(v / this.cellSize);
+  }
+
+  clear() {
+    this.cells.clear();
+    this.items.length = 0;
+    return this;
+  }
+
+  insert(item) {
+    const index = this.items.length;
+    this.items.push(item);
+
+    const key = SpatialHash.key(
+      this.cellCoord(item.pos.x),
+      this.cellCoord(item.pos.y)
+    );
+    const cell = this.cells.get(key);
+    if (cell) cell.push(index);
+    else this.cells.set(key, [index]);
+    return this;
+  }
+
+  rebuild(items) {
+    this.clear();
+    items.forEach((item) => this.insert(item));
+    return this;
+  }
+
+  // Call fn(index) for every item in cells overlapping the square around x, y
+  forEachCandidate(x, y, radius, fn) {
+    const minX = this.cellCoord(x - radius);
+    const maxX = this.cellCoord(x + radius);
+    const minY = this.cellCoord(y - radius);
+    const maxY = this.cellCoord(y + radius);
+
+    for (let cx = minX; cx <= maxX; cx++) {
+      for (let cy = minY; cy <= maxY; cy++) {
+        const cell = this.cells.get(SpatialHash.key(cx, cy));
+        if (!cell) continue;
+        for (let i = 0; i < cell.length; i++) fn(cell[i]);
+      }
+    }
+  }
+
+  // Items within `radius` of x, y (inclusive). Pass `out` to reuse an array.
+  queryRadius(x, y, radius, out = []) {
+    const r2 = radius * radius;
+    out.length = 0;
+
+    this.forEachCandidate(x, y, radius, (index) => {
+      const item = this.items[index];
+      const dx = item.pos.x - x;
+      const dy = item.pos.y - y;
+      if (dx * dx + dy * dy <= r2) out.push(item);
+    });
+    return out;
+  }
+
+  // The k items closest to x, y, nearest first, optionally within maxRadius.
+  // Searches outward ring by ring until no closer item can exist.
+  nearestK(x, y, k, maxRadius = Infinity) {
+    if (k <= 0 || !this.items.length) return [];
+
+    const found = [];
+    const cx = this.cellCoord(x);
+    const cy = this.cellCoord(y);
+    const maxRing = Number.isFinite(maxRadius)
+      ? Math.ceil(maxRadius / this.cellSize) + 1
+      : Infinity;
+    const max2 = maxRadius * maxRadius;
+    let visited = 0;
+
+    for (let ring = 0; ring <= maxRing; ring++) {
+      for (let i = cx - ring; i <= cx + ring; i++) {
+        for (let j = cy - ring; j <= cy + ring; j++) {
+          // Only the outline of the ring; the inside was searched already
+          if (ring > 0 && i > cx - ring && i < cx + ring && j > cy - ring && j < cy + ring) {
+            continue;
+          }
+          const cell = this.cells.get(SpatialHash.key(i, j));
+          if (!cell) continue;
+
+          cell.forEach((index) => {
+            const item = this.items[index];
+            const dx = item.pos.x - x;
+            const dy = item.pos.y - y;
+            const d2 = dx * dx + dy * dy;
+            if (d2 <= max2) found.push({ item, d2 });
+          });
+          visited += cell.length;
+        }
+      }
+
+      // Anything outside this ring is at least `ring * cellSize` away
+      if (found.length >= k) {
+        found.sort((a, b) => a.d2 - b.d2);
+        const limit = ring * this.cellSize;
+        if (found[k - 1].d2 <= limit * limit) break;
+      }
+      if (visited >= this.items.length) break;
+    }
+
+    found.sort((a, b) => a.d2 - b.d2);
+    return found.slice(0, k).map(({ item }) => item);
+  }
+
+  // Call fn(a, b, distance) once for every unordered pair within `radius`
+  forEachPair(radius, fn) {
+    const r2 = radius * radius;
+
+    this.items.forEach((a, ia) => {
+      this.forEachCandidate(a.pos.x, a.pos.y, radius, (ib) => {
+        if (ib <= ia) return;
+        const b = this.items[ib];
+        const dx = b.pos.x - a.pos.x;
+        const dy = b.pos.y - a.pos.y;
+        const d2 = dx * dx + dy * dy;
+        if (d2 <= r2) fn(a, b, Math.sqrt(d2));
+      });
+    });
+  }
+}
@@ -1,12 +1,181 @@
+// 2D vector. Instance methods mutate and return `this` so calls chain
+// (`v.add(a).limit(4)`); the static versions of the same operations return a
+// new Vector and leave their arguments untouched.
 export class Vector {
-  constructor(x, y) {
+  constructor(x = 0, y = 0) {
     this.x = x;
     this.y = y;
   }
 
+  // Unit (or `length`) vector pointing at `angle` radians
+  static fromAngle(angle, length = 1) {
+    return new Vector(Math.cos(angle) * length, Math.sin(angle) * length);
+  }
+
+  // Cartesian vector from polar coordinates around an optional origin
+  static fromPolar(radius, angle, origin) {
+    const v = Vector.fromAngle(angle, radius);
+    return origin ? v.add(origin) : v;
+  }
+
+  static add(a, b) {
+    return a.clone().add(b);
+  }
+
+  static sub(a, b) {
+    return a.clone().sub(b);
+  }
+
+  static scale(v, s) {
+    return v.clone().scale(s);
+  }
+
+  static normalize(v) {
+    return v.clone().normalize();
+  }
+
+  static limit(v, max) {
+    return v.clone().limit(max);
+  }
+
+  static rotate(v, angle) {
+    return v.clone().rotate(angle);
+  }
+
+  static lerp(a, b, t) {
+    return a.clone().lerp(b, t);
+  }
+
+  static dot(a, b) {
+    return a.x * b.x + a.y * b.y;
+  }
+
+  // z component of the 3D cross product; positive when b is clockwise of a
+  // in canvas coordinates (y down)
+  static cross(a, b) {
+    return a.x * b.y - a.y * b.x;
+  }
+
+  static distance(a, b) {
+    return Math.sqrt(Vector.distanceSq(a, b));
+  }
+
+  static distanceSq(a, b) {
+    const dx = a.x - b.x;
+    const dy = a.y - b.y;
+    return dx * dx + dy * dy;
+  }
+
+  clone() {
+    return new Vector(this.x, this.y);
+  }
+
+  set(x, y) {
+    this.x = x;
+    this.y = y;
+    return this;
+  }
+
+  copy(v) {
+    this.x = v.x;
+    this.y = v.y;
+    return this;
+  }
+
+  add(v) {
+    this.x += v.x;
+    this.y += v.y;
+    return this;
+  }
+
+  sub(v) {
+    this.x -= v.x;
+    this.y -= v.y;
+    return this;
+  }
+
+  scale(s) {
+    this.x *= s;
+    this.y *= s;
+    return this;
+  }
+
+  // Add `v` scaled by `s` without allocating
+  addScaled(v, s) {
+    this.x += v.x * s;
+    this.y += v.y * s;
+    return this;
+  }
+
+  dot(v) {
+    return Vector.dot(this, v);
+  }
+
+  cross(v) {
+    return Vector.cross(this, v);
+  }
+
+  mag() {
+    return Math.sqrt(this.magSq());
+  }
+
+  magSq() {
+    return this.x * this.x + this.y * this.y;
+  }
+
+  setMag(length) {
+    return this.normalize().scale(length);
+  }
+
+  // Zero vectors stay zero
+  normalize() {
+    const m = this.mag();
+    return m > 0 ? this.scale(1 / m) : this;
+  }
+
+  limit(max) {
+    const m2 = this.magSq();
+    if (m2 > max * max) {
+      this.scale(max / Math.sqrt(m2));
+    }
+    return this;
+  }
+
+  // Angle in radians from the positive x axis
+  heading() {
+    return Math.atan2(this.y, this.x);
+  }
+
+  setHeading(angle) {
+    const m = this.mag();
+    return this.set(Math.cos(angle) * m, Math.sin(angle) * m);
+  }
+
+  rotate(angle) {
+    const c = Math.cos(angle);
+    const s = Math.sin(angle);
+    return this.set(this.x * c - this.y * s, this.x * s + this.y * c);
+  }
+
+  lerp(v, t) {
+    this.x += (v.x - this.x) * t;
+    this.y += (v.y - this.y) * t;
+    return this;
+  }
+
   getDistance(v) {
-    const dx = this.x - v.x;
-    const dy = this.y - v.y;
-    return Math.sqrt(dx * dx + dy * dy);
+    return Vector.distance(this, v);
+  }
+
+  getDistanceSq(v) {
+    return Vector.distanceSq(this, v);
+  }
+
+  equals(v, epsilon = 0) {
+    return Math.abs(this.x - v.x) <= epsilon && Math.abs(this.y - v.y) <= epsilon;
+  }
+
+  toArray() {
+    return [this.x, this.y];
   }
 }
@@ -0,0 +1,85 @@
+// Compares brute-force pair search (sketch-03's original nested loop) with
+// SpatialHash.forEachPair for growing agent counts on a 1080x1080 canvas, at
+// sketch-03's link distance. At 200px about a tenth of the canvas is within
+// reach of each agent, so the pair count itself still grows with n^2 and the
+// hash only saves the distance checks on the pairs that are out of reach.
+// The last column is sketch-03's whole neighbour search per frame: links
+// within the radius shortened to its linkDensity, plus each agent's flocking
+// query. That one grows with n, and should fit the 60fps budget up to the
+// 2500 agents sketch-03's Count slider allows.
+// Run with `npm run bench` from src/.
+import { SpatialHash } from "../SpatialHash.js";
+
+const SIZE = 1080;
+const RADIUS = 200; // sketch-03's params.linkDistance
+const LINK_DENSITY = 6; // sketch-03's params.linkDensity
+const PERCEPTION = 50; // sketch-03's flocking radius
+const FRAMES = 20;
+
+const makeAgents = (n) =>
+  Array.from({ length: n }, () => ({
+    pos: { x: Math.random() * SIZE, y: Math.random() * SIZE },
+  }));
+
+const bruteForce = (agents) => {
+  let pairs = 0;
+  for (let i = 0; i < agents.length; i++) {
+    for (let j = i + 1; j < agents.length; j++) {
+      const dx = agents[i].pos.x - agents[j].pos.x;
+      const dy = agents[i].pos.y - agents[j].pos.y;
+      if (Math.sqrt(dx * dx + dy * dy) <= RADIUS) pairs++;
+    }
+  }
+  return pairs;
+};
+
+const hash = new SpatialHash(RADIUS);
+const hashed = (agents) => {
+  let pairs = 0;
+  hash.rebuild(agents).forEachPair(RADIUS, () => pairs++);
+  return pairs;
+};
+
+const sketchHash = new SpatialHash(RADIUS);
+const neighbours = [];
+const sketchFrame = (agents) => {
+  const radius = Math.min(
+    RADIUS,
+    SpatialHash.densityRadius(LINK_DENSITY, agents.length, SIZE * SIZE)
+  );
+  let pairs = 0;
+  sketchHash.cellSize = Math.max(radius, PERCEPTION);
+  sketchHash.rebuild(agents).forEachPair(radius, () => pairs++);
+  agents.forEach(({ pos }) =>
+    sketchHash.queryRadius(pos.x, pos.y, PERCEPTION, neighbours)
+  );
+  return pairs;
+};
+
+// Average milliseconds per frame
+const time = (fn, agents) => {
+  let result;
+  const start = process.hrtime.bigint();
+  for (let i = 0; i < FRAMES; i++) result = fn(agents);
+  const ms = Number(process.hrtime.bigint() - start) / 1e6 / FRAMES;
+  return { ms, result };
+};
+
+console.log(`radius ${RADIUS}px, ${FRAMES} frames each (60fps budget: 16.7ms)`);
+[40, 1000, 2500, 5000, 10000].forEach((n) => {
+  const agents = makeAgents(n);
+  const brute = time(bruteForce, agents);
+  const grid = time(hashed, agents);
+  const sketch = time(sketchFrame, agents);
+  if (brute.result !== grid.result) {
+    throw new Error(`Pair count mismatch for ${n}: ${brute.result} vs ${grid.result}`);
+  }
+  console.log(
+    `${String(n).padStart(6)} agents  brute ${brute.ms.toFixed(2).padStart(8)}ms` +
+      `  hash ${grid.ms.toFixed(2).padStart(7)}ms` +
+      `  x${(brute.ms / grid.ms).toFixed(1)}` +
+      `  ${grid.result} pairs` +
+      `  sketch-03 ${sketch.ms.toFixed(2).padStart(6)}ms` +
+      `  ${sketch.result} links`
+  );
+});
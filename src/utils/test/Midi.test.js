@@ -0,0 +1,150 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { FakeMidiSource, MidiMapper, parseMidiMessage } from "../Midi.js";
+
+test("parseMidiMessage decodes CC and notes", () => {
+  assert.deepEqual(parseMidiMessage([0xb0, 7, 127]), {
+    type: "cc",
+    channel: 1,
+    number: 7,
+    value: 1,
+  });
+  assert.deepEqual(parseMidiMessage([0x93, 60, 64]), {
+    type: "noteon",
+    channel: 4,
+    number: 60,
+    value: 64 / 127,
+  });
+  assert.deepEqual(parseMidiMessage([0x80, 60, 30]), {
+    type: "noteoff",
+    channel: 1,
+    number: 60,
+    value: 0,
+  });
+});
+
+test("parseMidiMessage treats note on with velocity 0 as note off", () => {
+  assert.equal(parseMidiMessage([0x90, 60, 0]).type, "noteoff");
+});
+
+test("parseMidiMessage ignores other messages", () => {
+  assert.equal(parseMidiMessage([0xe0, 0, 64]), null); // Pitch bend
+  assert.equal(parseMidiMessage([0xf8]), null); // Clock
+});
+
+const setup = async (params, limits) => {
+  const midi = new MidiMapper(params, { limits });
+  const source = new FakeMidiSource();
+  await midi.connect(source);
+  return { midi, source };
+};
+
+test("MidiMapper learns the next control and maps CCs across the limits", async () => {
+  const params = { amp: 0.2 };
+  const { midi, source } = await setup(params, { amp: { min: 0, max: 2 } });
+
+  midi.learn("amp");
+  source.sendCC(2, 21, 127);
+  assert.equal(midi.learning, null);
+  assert.deepEqual(
+    midi.mappings.map(({ type, channel, number, target }) => ({
+      type,
+      channel,
+      number,
+      target,
+    })),
+    [{ type: "cc", channel: 2, number: 21, target: "amp" }]
+  );
+  assert.equal(params.amp, 2);
+
+  source.sendCC(2, 21, 0);
+  assert.equal(params.amp, 0);
+  source.sendCC(1, 21, 127); // Other channel
+  assert.equal(params.amp, 0);
+});
+
+test("MidiMapper snaps to the step", async () => {
+  const params = { rings: 1 };
+  const { midi, source } = await setup(params, {
+    rings: { min: 1, max: 6, step: 1 },
+  });
+  midi.addMapping({ type: "cc", channel: 1, number: 1, target: "rings" });
+  source.sendCC(1, 1, 50);
+  assert.equal(params.rings, 3);
+});
+
+test("MidiMapper toggles and gates with notes", async () => {
+  const params = { debug: false, size: 0 };
+  const { midi, source } = await setup(params, {});
+  midi.addMapping({ type: "note", channel: 1, number: 36, target: "debug" });
+  midi.addMapping({
+    type: "note",
+    channel: 1,
+    number: 37,
+    target: "size",
+    min: 0,
+    max: 10,
+    mode: "gate",
+  });
+
+  source.sendNote(1, 36);
+  assert.equal(params.debug, true);
+  source.sendNote(1, 36, 0); // Release leaves it on
+  assert.equal(params.debug, true);
+  source.sendNote(1, 36);
+  assert.equal(params.debug, false);
+
+  source.sendNote(1, 37);
+  assert.equal(params.size, 10);
+  source.sendNote(1, 37, 0);
+  assert.equal(params.size, 0);
+});
+
+test("MidiMapper keeps one mapping per control and per param", async () => {
+  const params = { a: 0, b: 0 };
+  const { midi } = await setup(params, {});
+  midi.addMapping({ type: "cc", channel: 1, number: 1, target: "a" });
+  midi.addMapping({ type: "cc", channel: 1, number: 1, target: "b" });
+  assert.deepEqual(
+    midi.mappings.map((m) => m.target),
+    ["b"]
+  );
+  midi.addMapping({ type: "cc", channel: 1, number: 2, target: "b" });
+  assert.deepEqual(
+    midi.mappings.map((m) => m.number),
+    [2]
+  );
+});
+
+test("MidiMapper only maps numbers and booleans", async () => {
+  const params = { palette: "mono" };
+  const { midi, source } = await setup(params, {});
+  assert.equal(midi.canMap("palette"), false);
+  assert.throws(() => midi.learn("palette"), /not a number or boolean/);
+
+  // A stale stored mapping is ignored rather than writing a number
+  midi.fromJSON([
+    {
+      type: "cc",
+      channel: 1,
+      number: 1,
+      target: "palette",
+      min: 0,
+      max: 1,
+      mode: "absolute",
+    },
+  ]);
+  source.sendCC(1, 1, 127);
+  assert.equal(params.palette, "mono");
+});
+
+test("MidiMapper pushes every message into the modulation matrix", async () => {
+  const values = {};
+  const modulation = { setSourceValue: (id, value) => (values[id] = value) };
+  const midi = new MidiMapper({}, { modulation });
+  const source = new FakeMidiSource();
+  await midi.connect(source);
+  source.sendCC(1, 74, 127);
+  source.sendNote(1, 60, 127);
+  assert.deepEqual(values, { "midi:cc:74": 1, "midi:note:60": 1 });
+});
@@ -0,0 +1,107 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { LFO_SHAPES, ModulationMatrix } from "../Modulation.js";
+
+const close = (actual, expected, message) =>
+  assert.ok(Math.abs(actual - expected) < 1e-9, `${message}: ${actual}`);
+
+test("LFO shapes span 0..1 over one period", () => {
+  close(LFO_SHAPES.sine(0), 0, "sine start");
+  close(LFO_SHAPES.sine(0.5), 1, "sine peak");
+  close(LFO_SHAPES.triangle(0.25), 0.5, "triangle rising");
+  close(LFO_SHAPES.triangle(0.5), 1, "triangle peak");
+  close(LFO_SHAPES.saw(0.75), 0.75, "saw");
+  assert.equal(LFO_SHAPES.square(0.25), 0);
+  assert.equal(LFO_SHAPES.square(0.75), 1);
+});
+
+test("LFO sources follow time at their rate", () => {
+  const params = { amp: 0 };
+  const matrix = new ModulationMatrix(params);
+  matrix.addLfo("lfo", { shape: "saw", rate: 2 });
+  matrix.addRoute({ source: "lfo", target: "amp" });
+
+  matrix.update({ time: 0.125 });
+  close(params.amp, 0.25, "a quarter period in");
+  matrix.update({ time: 0.75 });
+  close(params.amp, 0.5, "wrapped into the second period");
+});
+
+test("routes add depth * lerp(min, max, source) on top of the base", () => {
+  const params = { amp: 1 };
+  const matrix = new ModulationMatrix(params);
+  matrix.setSourceValue("cc", 0.5);
+  matrix.addRoute({ source: "cc", target: "amp", depth: 2, min: 1, max: 3 });
+
+  matrix.update();
+  assert.equal(params.amp, 5);
+
+  // An outside edit becomes the new base
+  params.amp = 0;
+  matrix.update();
+  assert.equal(params.amp, 4);
+  assert.equal(matrix.getBase("amp"), 0);
+});
+
+test("envelopes rise with attack and fall with release", () => {
+  const params = { amp: 0 };
+  const matrix = new ModulationMatrix(params);
+  matrix.addRoute({ source: "cc", target: "amp", attack: 1, release: 2 });
+
+  matrix.setSourceValue("cc", 1);
+  matrix.update({ frame: 0, deltaTime: 1 });
+  close(params.amp, 1 - Math.exp(-1), "one attack time in");
+
+  matrix.setSourceValue("cc", 0);
+  const before = params.amp;
+  matrix.update({ frame: 1, deltaTime: 1 });
+  close(params.amp, before * Math.exp(-0.5), "half a release time in");
+});
+
+test("a repeated frame does not step the envelopes again", () => {
+  const params = { amp: 0 };
+  const matrix = new ModulationMatrix(params);
+  matrix.addRoute({ source: "cc", target: "amp", attack: 1 });
+  matrix.setSourceValue("cc", 1);
+
+  matrix.update({ frame: 0, deltaTime: 0.5 });
+  const once = params.amp;
+  matrix.update({ frame: 0, deltaTime: 0.5 }); // The export pass
+  assert.equal(params.amp, once);
+  matrix.update({ frame: 1, deltaTime: 0.5 });
+  assert.ok(params.amp > once);
+});
+
+test("modulated values snap to the step and stay within the limits", () => {
+  const params = { count: 10, size: 1 };
+  const matrix = new ModulationMatrix(params, {
+    limits: {
+      count: { min: 1, max: 12, step: 1 },
+      size: { min: 0, max: 2, step: 0.25 },
+    },
+  });
+  matrix.addRoute({ source: "cc", target: "count", depth: 1, max: 10 });
+  matrix.addRoute({ source: "cc", target: "size" });
+
+  matrix.setSourceValue("cc", 0.13);
+  matrix.update();
+  assert.equal(params.count, 11); // 10 + 1.3
+  assert.equal(params.size, 1.25); // 1 + 0.13
+
+  matrix.setSourceValue("cc", 1);
+  matrix.update();
+  assert.equal(params.count, 12);
+  assert.equal(params.size, 2);
+});
+
+test("removing the last route restores the base value", () => {
+  const params = { amp: 1 };
+  const matrix = new ModulationMatrix(params);
+  matrix.setSourceValue("cc", 1);
+  const route = matrix.addRoute({ source: "cc", target: "amp" });
+
+  matrix.update();
+  assert.equal(params.amp, 2);
+  matrix.removeRoute(route);
+  assert.equal(params.amp, 1);
+});
@@ -0,0 +1,80 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { PlotterContext, mergePaths, sortPaths } from "../Plotter.js";
+
+const line = (...points) => ({
+  points,
+  closed: false,
+  lineWidth: 1,
+  strokeStyle: "black",
+});
+
+// "x,y x,y ..." for compact comparisons
+const trace = ({ points }) => points.join(" ");
+
+const fakeContext = () => ({
+  calls: 0,
+  beginPath() {},
+  moveTo() {},
+  lineTo() {
+    this.calls++;
+  },
+  stroke() {},
+});
+
+test("PlotterContext only records while a single frame is exported", () => {
+  const plotter = new PlotterContext();
+  const context = fakeContext();
+  const draw = (ctx) => {
+    ctx.beginPath();
+    ctx.moveTo(0, 0);
+    ctx.lineTo(10, 0);
+    ctx.stroke();
+  };
+
+  assert.equal(plotter.record({ context, width: 10, height: 10 }), context);
+  const exported = { context, width: 10, height: 10, exporting: true };
+  draw(plotter.record({ ...exported, recording: true }));
+  assert.equal(plotter.paths.length, 0);
+
+  draw(plotter.record(exported));
+  assert.deepEqual(plotter.paths.map(trace), ["0,0 10,0"]);
+  assert.equal(context.calls, 2);
+});
+
+test("mergePaths joins touching ends and drops duplicates", () => {
+  const merged = mergePaths([
+    line([0, 0], [1, 0]),
+    line([2, 0], [1, 0]),
+    line([5, 5], [6, 5]),
+    line([5, 5], [6, 5]),
+    { ...line([2, 0], [3, 0]), strokeStyle: "red" },
+  ]);
+  assert.deepEqual(
+    merged.map((path) => `${path.strokeStyle} ${trace(path)}`),
+    ["red 2,0 3,0", "black 5,5 6,5", "black 2,0 1,0 0,0"]
+  );
+});
+
+test("mergePaths closes paths that end where they start", () => {
+  const [path] = mergePaths([
+    line([0, 0], [1, 0]),
+    line([1, 0], [1, 1]),
+    line([1, 1], [0, 0.005]),
+  ]);
+  assert.equal(path.closed, true);
+  assert.equal(path.points.length, 3);
+});
+
+test("sortPaths visits the nearest path next, reversing or rotating it", () => {
+  const sorted = sortPaths([
+    line([10, 0], [20, 0]),
+    line([9, 0], [1, 0]),
+    { ...line([30, 0], [25, 5], [21, 0]), closed: true },
+  ]);
+  assert.deepEqual(sorted.map(trace), [
+    "1,0 9,0",
+    "10,0 20,0",
+    "21,0 30,0 25,5",
+  ]);
+});
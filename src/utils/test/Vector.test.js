@@ -0,0 +1,88 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { Vector } from "../Vector.js";
+
+const close = (v, x, y) =>
+  assert.ok(
+    v.equals({ x, y }, 1e-9),
+    `expected (${x}, ${y}), got (${v.x}, ${v.y})`
+  );
+
+test("instance operations mutate and return this", () => {
+  const v = new Vector(1, 2);
+  assert.equal(v.add(new Vector(3, 4)), v);
+  close(v, 4, 6);
+  close(v.sub(new Vector(1, 1)), 3, 5);
+  close(v.scale(2), 6, 10);
+  close(v.addScaled(new Vector(1, -1), 3), 9, 7);
+  close(v.set(1, 1).copy(new Vector(-2, 5)), -2, 5);
+});
+
+test("static operations leave their arguments untouched", () => {
+  const a = new Vector(1, 2);
+  const b = new Vector(3, 4);
+  close(Vector.add(a, b), 4, 6);
+  close(Vector.sub(a, b), -2, -2);
+  close(Vector.scale(a, 3), 3, 6);
+  close(Vector.lerp(a, b, 0.5), 2, 3);
+  close(Vector.rotate(a, Math.PI / 2), -2, 1);
+  close(Vector.normalize(b), 0.6, 0.8);
+  close(Vector.limit(b, 1), 0.6, 0.8);
+  close(a, 1, 2);
+  close(b, 3, 4);
+});
+
+test("dot and cross products", () => {
+  const a = new Vector(1, 2);
+  const b = new Vector(3, 4);
+  assert.equal(Vector.dot(a, b), 11);
+  assert.equal(a.dot(b), 11);
+  assert.equal(Vector.cross(a, b), -2);
+  assert.equal(new Vector(1, 0).cross(new Vector(0, 1)), 1);
+});
+
+test("magnitude, normalize, setMag and limit", () => {
+  const v = new Vector(3, 4);
+  assert.equal(v.mag(), 5);
+  assert.equal(v.magSq(), 25);
+  close(v.clone().setMag(10), 6, 8);
+  close(v.clone().limit(10), 3, 4);
+  close(v.clone().limit(2.5), 1.5, 2);
+  close(v.normalize(), 0.6, 0.8);
+  close(new Vector().normalize(), 0, 0); // Zero stays zero
+});
+
+test("heading, setHeading and rotate", () => {
+  assert.equal(new Vector(0, 2).heading(), Math.PI / 2);
+  close(new Vector(2, 0).setHeading(Math.PI), -2, 0);
+  close(new Vector(1, 0).rotate(Math.PI / 2), 0, 1);
+});
+
+test("lerp", () => {
+  close(new Vector(0, 0).lerp(new Vector(10, -10), 0.25), 2.5, -2.5);
+});
+
+test("polar helpers", () => {
+  close(Vector.fromAngle(0), 1, 0);
+  close(Vector.fromAngle(Math.PI / 2, 3), 0, 3);
+  close(Vector.fromPolar(2, Math.PI, new Vector(5, 5)), 3, 5);
+});
+
+test("distances", () => {
+  const a = new Vector(1, 1);
+  const b = new Vector(4, 5);
+  assert.equal(Vector.distance(a, b), 5);
+  assert.equal(Vector.distanceSq(a, b), 25);
+  assert.equal(a.getDistance(b), 5);
+  assert.equal(a.getDistanceSq(b), 25);
+});
+
+test("clone, equals and toArray", () => {
+  const v = new Vector(1, 2);
+  const copy = v.clone();
+  assert.notEqual(copy, v);
+  assert.ok(copy.equals(v));
+  assert.ok(!copy.equals(new Vector(1, 2.1)));
+  assert.ok(copy.equals(new Vector(1, 2.1), 0.2));
+  assert.deepEqual(v.toArray(), [1, 2]);
+});